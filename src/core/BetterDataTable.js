@@ -1,7 +1,26 @@
+import { AGGREGATE_NAMES } from "./aggregates.js";
+import { ChangeTracker } from "./ChangeTracker.js";
+import { parseTsv, toHtmlTable, toTsv } from "./clipboard.js";
+import { createColumnType } from "./columnTypes.js";
+import { createEditor, parseEditorText } from "./editors.js";
 import { EventBus } from "./EventBus.js";
+import { SizeIndex } from "./SizeIndex.js";
+import { matchesFilter, normalizeFilters } from "./filters.js";
+import { interpolateColor, normalizeFormatRules, scaleRatio, thresholdMatches, toFiniteNumber } from "./formatting.js";
 import { QueryEngine } from "./QueryEngine.js";
 import { StateStore } from "./StateStore.js";
-import { clamp, debounce, deepMerge, isDomNode, parseAccessor, replaceChildren, toText, uniqueId } from "./utils.js";
+import { WorkerQueryEngine } from "./WorkerQueryEngine.js";
+import {
+  clamp,
+  debounce,
+  deepMerge,
+  isDomNode,
+  parseAccessor,
+  parseSetter,
+  replaceChildren,
+  toText,
+  uniqueId
+} from "./utils.js";
 
 // These defaults are part of the public behavior.
 // Keep changes here deliberate because they affect every table instance.
@@ -10,6 +29,9 @@ const DEFAULT_OPTIONS = {
   data: [],
   caption: "",
   rowKey: null,
+  rowClass: null,
+  rowStyle: null,
+  conditionalFormatting: [],
   emptyMessage: "No rows found",
   layout: {
     topStart: ["search"],
@@ -24,22 +46,69 @@ const DEFAULT_OPTIONS = {
   },
   filtering: {
     caseSensitive: false,
-    debounceMs: 150
+    debounceMs: 150,
+    syntax: "plain",
+    mode: "contains",
+    sortByRelevance: false,
+    initial: []
   },
   sorting: {
     multi: true,
-    initial: []
+    initial: [],
+    collation: null
+  },
+  grouping: {
+    by: [],
+    aggregates: {},
+    header: null
+  },
+  facets: {
+    columns: [],
+    limit: 10
+  },
+  resizing: {
+    enabled: true,
+    minWidth: 48,
+    maxWidth: null,
+    step: 16
+  },
+  reordering: {
+    enabled: true
+  },
+  columnVisibility: {
+    label: "Columns",
+    searchHidden: true
+  },
+  rowDetail: {
+    render: null,
+    label: "Show details"
+  },
+  selection: {
+    mode: "none",
+    checkbox: true,
+    label: "Select row",
+    allLabel: "Select all rows on this page"
+  },
+  rangeSelection: {
+    enabled: false
   },
   virtualization: {
     enabled: true,
     height: 420,
     rowHeight: 40,
-    overscan: 8
+    overscan: 8,
+    columns: false,
+    columnWidth: 160,
+    columnOverscan: 2
   },
   scroll: {
     x: true,
     y: true,
-    minColumnWidth: 128
+    minColumnWidth: 128,
+    maxHeight: null
+  },
+  footer: {
+    scope: "filtered"
   },
   state: {
     enabled: true,
@@ -56,7 +125,11 @@ const DEFAULT_OPTIONS = {
     next: { icon: "→", label: "Next", position: "end" },
     sortNone: "↕",
     sortAsc: "↑",
-    sortDesc: "↓"
+    sortDesc: "↓",
+    groupExpanded: "▾",
+    groupCollapsed: "▸",
+    detailExpanded: "▾",
+    detailCollapsed: "▸"
   },
   security: {
     allowUnsafeHtml: false,
@@ -64,11 +137,22 @@ const DEFAULT_OPTIONS = {
   },
   server: {
     enabled: false,
-    fetch: null
+    fetch: null,
+    save: null
+  },
+  query: {
+    worker: false,
+    workerUrl: null,
+    createWorker: null
   },
   hooks: {}
 };
 
+// Oldest edits fall off the undo stack beyond this many steps.
+const HISTORY_LIMIT = 100;
+
+const AGGREGATE_NUMBER_FORMAT = new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 });
+
 const THEME_VAR_MAP = Object.freeze({
   background: "--bdt-bg",
   surface: "--bdt-surface",
@@ -109,18 +193,92 @@ function normalizeButtonConfig(config, fallbackLabel, fallbackIcon, fallbackPosi
   };
 }
 
+// Nested definitions ({ header, columns: [...] }) only add header rows; the table works on the leaf columns.
+// Each leaf keeps its ancestor groups, outermost first, and leaves of one group share the same group objects.
+function flattenColumns(columns, groups = [], leaves = []) {
+  for (const column of columns || []) {
+    if (Array.isArray(column.columns)) {
+      const { columns: children, ...group } = column;
+      flattenColumns(children, [...groups, group], leaves);
+    } else {
+      leaves.push({ ...column, headerGroups: groups });
+    }
+  }
+  return leaves;
+}
+
 function normalizeColumns(columns) {
-  return (columns || []).map((column, index) => {
+  return flattenColumns(columns).map((column, index) => {
     const id = column.id || column.accessor || `col_${index}`;
     return {
       ...column,
       id,
       header: column.header || id,
-      getValue: parseAccessor(column.accessor)
+      getValue: parseAccessor(column.accessor),
+      setValue: typeof column.setValue === "function" ? column.setValue : parseSetter(column.accessor),
+      valueType: createColumnType(column),
+      footer: normalizeFooter(column.footer)
     };
   });
 }
 
+// `footer: "sum"` or a function is an aggregate, any other string is a label.
+// The object form combines both: { aggregate: "sum", label: "Total" }.
+function normalizeFooter(footer) {
+  if (footer === undefined || footer === null || footer === false) {
+    return null;
+  }
+  if (typeof footer === "function" || AGGREGATE_NAMES.includes(footer)) {
+    return { aggregate: footer, label: "" };
+  }
+  if (typeof footer === "object") {
+    return { aggregate: footer.aggregate ?? null, label: toText(footer.label) };
+  }
+  return { aggregate: null, label: toText(footer) };
+}
+
+// Only pixel widths are known before layout; other units fall back to virtualization.columnWidth.
+function pixelWidth(width) {
+  if (typeof width === "number") {
+    return width;
+  }
+  return typeof width === "string" && /^\d+(\.\d+)?px$/.test(width.trim()) ? parseFloat(width) : null;
+}
+
+function normalizeColumnWidths(widths) {
+  if (!widths || typeof widths !== "object" || Array.isArray(widths)) {
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(widths).filter(([, width]) => typeof width === "number" && Number.isFinite(width) && width > 0)
+  );
+}
+
+function normalizeColumnVisibility(visibility) {
+  if (!visibility || typeof visibility !== "object" || Array.isArray(visibility)) {
+    return {};
+  }
+  return Object.fromEntries(Object.entries(visibility).filter(([, visible]) => typeof visible === "boolean"));
+}
+
+function toClassList(value) {
+  const names = Array.isArray(value) ? value : toText(value).split(/\s+/);
+  return names.map(toText).filter((name) => name.length > 0);
+}
+
+// Style objects accept camelCase, kebab-case and custom properties.
+function toStyleEntries(style) {
+  if (!style || typeof style !== "object") {
+    return [];
+  }
+  return Object.entries(style)
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .map(([name, value]) => [
+      name.startsWith("--") ? name : name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`),
+      toText(value)
+    ]);
+}
+
 function resolveElement(target) {
   if (typeof target === "string") {
     const element = document.querySelector(target);
@@ -145,6 +303,12 @@ export class BetterDataTable {
 
     this.options = deepMerge(DEFAULT_OPTIONS, options);
     this.options.columns = normalizeColumns(this.options.columns);
+    // One stable object, so the query engine can tell when it may reuse the last totals.
+    this.footerAggregates = Object.fromEntries(
+      this.options.columns
+        .filter((column) => column.footer?.aggregate !== null && column.footer?.aggregate !== undefined)
+        .map((column) => [column.id, column.footer.aggregate])
+    );
     // location is not available in SSR and some test runners.
     const statePath = typeof location === "undefined" ? "memory" : location.pathname;
     this.options.state.key =
@@ -156,43 +320,129 @@ export class BetterDataTable {
       throw new Error("BetterDataTable: options.server.fetch must be a function in server mode");
     }
 
+    // Without rowKey a row's key is its page position, so a selection or an expanded detail panel would stay
+    // on a screen position across pages and sorting instead of following its record.
+    const { mode: selectionMode } = this.options.selection;
+    const hasRowKey = this.options.rowKey !== null && this.options.rowKey !== undefined;
+    if ((selectionMode === "single" || selectionMode === "multi") && !hasRowKey) {
+      throw new Error("BetterDataTable: row selection needs the rowKey option");
+    }
+    if (typeof this.options.rowDetail.render === "function" && !hasRowKey) {
+      throw new Error("BetterDataTable: row details need the rowKey option");
+    }
+
     this.events = new EventBus();
     this.store = new StateStore(this.options.state);
-    this.queryEngine = new QueryEngine({
-      columns: this.options.columns,
-      caseSensitive: this.options.filtering.caseSensitive
-    });
+    const engineOptions = {
+      caseSensitive: this.options.filtering.caseSensitive,
+      searchSyntax: this.options.filtering.syntax,
+      mode: this.options.filtering.mode,
+      sortByRelevance: this.options.filtering.sortByRelevance,
+      collation: this.options.sorting.collation
+    };
+    this.queryEngine = new QueryEngine({ columns: this.options.columns, ...engineOptions });
+    this.#initFormatting();
+    this.workerEngine = this.#createWorkerEngine(engineOptions);
 
     this.data = [];
+    // Row key -> position in this.data, built on first use and kept across transactions and edits.
+    this.dataIndex = null;
     this.serverSnapshot = {
       rows: [],
       totalCount: 0,
-      filteredCount: 0
+      filteredCount: 0,
+      facets: null,
+      aggregates: null
     };
 
     this.state = this.store.load({
       search: "",
+      filters: normalizeFilters(this.options.filtering.initial),
       sort: [...this.options.sorting.initial],
       page: 0,
       pageSize: this.options.pagination.pageSize,
+      collapsedGroups: [],
+      columnWidths: {},
+      columnOrder: [],
+      columnVisibility: {},
+      expandedRows: [],
       scrollTop: 0
     });
+    // Persisted filters come from storage, so drop anything with an unknown operator.
+    this.state.filters = normalizeFilters(this.state.filters);
+    this.state.columnWidths = normalizeColumnWidths(this.state.columnWidths);
+    this.state.columnOrder = Array.isArray(this.state.columnOrder)
+      ? this.state.columnOrder.filter((id) => typeof id === "string")
+      : [];
+    this.state.columnVisibility = normalizeColumnVisibility(this.state.columnVisibility);
+    this.state.expandedRows = Array.isArray(this.state.expandedRows) ? this.state.expandedRows.map(toText) : [];
+    this.state.collapsedGroups = Array.isArray(this.state.collapsedGroups)
+      ? this.state.collapsedGroups.filter((key) => typeof key === "string")
+      : [];
+    this.#applyColumnLayout();
+    this.#syncSearchColumns();
 
     this.renderResult = {
       totalCount: 0,
       filteredCount: 0,
       pageRows: [],
+      pageItems: [],
       visibleRows: [],
+      visibleItems: [],
       page: 0,
       totalPages: 0,
       startRowIndex: 0,
       endRowIndex: 0,
+      startItemIndex: 0,
+      endItemIndex: 0,
       topPad: 0,
-      bottomPad: 0
+      bottomPad: 0,
+      columnLayout: [],
+      startColIndex: 0,
+      endColIndex: 0,
+      leftPad: 0,
+      rightPad: 0
     };
 
     this.lastFocusedCell = null;
     this.needsDomFocus = false;
+    this.pendingGroupFocus = null;
+    this.pendingCellFocus = null;
+    this.pendingRowFocus = null;
+    this.rowItemsCache = null;
+    this.formatDomainsCache = null;
+    this.pageAggregatesCache = null;
+    this.footerSignature = null;
+    this.detailItemsCache = null;
+    this.detailIdPrefix = uniqueId("bdt-detail");
+    this.activeEdit = null;
+    this.changeTracker = new ChangeTracker();
+    // Selected rows by key. Rows stay selected when they leave the page, so bulk actions can span pages.
+    this.selectedRows = new Map();
+    this.selectionAnchor = null;
+    // Cell range corners as { key, columnId }, so the range outlives row views recycled by virtualization.
+    this.cellRange = null;
+    this.rangeHighlighted = false;
+    this.stopRangeDrag = null;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.itemKeysCache = null;
+    this.renderedRows = [];
+    this.rowViews = new Map();
+    // Row objects edited in place since the last body render; their custom renderers run again.
+    this.staleRows = new Set();
+    this.spacerRows = {};
+    this.heightIndex = new SizeIndex(Math.max(24, this.options.virtualization.rowHeight));
+    this.columnIndex = new SizeIndex(Math.max(24, Number(this.options.virtualization.columnWidth) || 160));
+    this.scrollLeft = 0;
+    this.headerSpacers = [];
+    this.headerGroupCells = [];
+    this.cellHeaders = null;
+    this.columnGroup = null;
+    this.headerIdPrefix = uniqueId("bdt-head");
+    this.stopColumnDrag = null;
+    this.draggedColumnId = null;
+    this.facetViews = new Map();
     this.renderToken = null;
     this.pendingReasons = new Set();
     this.requestToken = 0;
@@ -227,6 +477,44 @@ export class BetterDataTable {
     this.#emit("afterInit", { table: this });
   }
 
+  #createWorkerEngine(engineOptions) {
+    // Server mode already keeps heavy work off the main thread, so the worker only backs client data.
+    if (!this.options.query.worker || this.options.server.enabled) {
+      return null;
+    }
+
+    // This runs inside the constructor, before anyone could call on("error"), so the fallback is reported
+    // once the constructor has returned.
+    const reportFallback = (message) => {
+      queueMicrotask(() => this.#emit("error", { type: "worker", message }));
+    };
+
+    // Comparators run per pair of rows, so they cannot be precomputed for the worker like accessors.
+    if (this.options.columns.some((column) => typeof column.compare === "function")) {
+      reportFallback(
+        "Columns with a compare function cannot run in a worker. Falling back to the main-thread query engine."
+      );
+      return null;
+    }
+
+    const { createWorker, workerUrl } = this.options.query;
+    if (typeof createWorker !== "function" && !WorkerQueryEngine.isSupported()) {
+      reportFallback("Web Workers are not available. Falling back to the main-thread query engine.");
+      return null;
+    }
+
+    return new WorkerQueryEngine({
+      columns: this.options.columns,
+      createWorker,
+      workerUrl,
+      ...engineOptions
+    });
+  }
+
+  #usesRemoteRows() {
+    return this.options.server.enabled || this.workerEngine !== null;
+  }
+
   #buildShell() {
     this.container = document.createElement("section");
     this.container.className = "bdt";
@@ -247,13 +535,20 @@ export class BetterDataTable {
     this.tableWrap.style.overflowX = xScrollEnabled ? "auto" : "hidden";
     this.tableWrap.style.overflowY = yScrollEnabled ? "auto" : "hidden";
 
+    const maxHeight = this.options.scroll.maxHeight;
     if (this.options.virtualization.enabled) {
       this.tableWrap.style.maxHeight = `${this.options.virtualization.height}px`;
+    } else if (maxHeight !== null && maxHeight !== undefined) {
+      // The header and footer stick to the edges of this scroll area.
+      this.tableWrap.style.maxHeight = typeof maxHeight === "number" ? `${maxHeight}px` : String(maxHeight);
     }
 
     this.table = document.createElement("table");
     this.table.className = "bdt__table";
     this.table.setAttribute("role", "grid");
+    if (this.#selectionMode() === "multi") {
+      this.table.setAttribute("aria-multiselectable", "true");
+    }
 
     if (this.options.caption) {
       const caption = document.createElement("caption");
@@ -265,6 +560,11 @@ export class BetterDataTable {
     this.body = document.createElement("tbody");
 
     this.table.append(this.head, this.body);
+    this.foot = null;
+    if (this.options.columns.some((column) => column.footer)) {
+      this.foot = document.createElement("tfoot");
+      this.table.append(this.foot);
+    }
     this.tableWrap.append(this.table);
 
     this.liveRegion = document.createElement("p");
@@ -428,14 +728,41 @@ export class BetterDataTable {
 
     this.pager.append(this.prevPageButton, this.pageStatus, this.nextPageButton);
 
+    this.facetPanel = document.createElement("div");
+    this.facetPanel.className = "bdt__facets";
+
     return {
       search: searchWrap,
       pageSize: pageSizeWrap,
       info: this.info,
-      pager: this.pager
+      pager: this.pager,
+      facets: this.facetPanel,
+      columns: this.#createColumnMenu()
     };
   }
 
+  // A disclosure button with a fieldset of native checkboxes, so screen readers get plain checkbox semantics.
+  #createColumnMenu() {
+    this.columnMenu = document.createElement("div");
+    this.columnMenu.className = "bdt__control bdt__control--columns";
+
+    const menuId = uniqueId("bdt-columns");
+    this.columnMenuButton = document.createElement("button");
+    this.columnMenuButton.type = "button";
+    this.columnMenuButton.className = "bdt__btn";
+    this.columnMenuButton.textContent = toText(this.options.columnVisibility.label);
+    this.columnMenuButton.setAttribute("aria-expanded", "false");
+    this.columnMenuButton.setAttribute("aria-controls", menuId);
+
+    this.columnMenuPanel = document.createElement("fieldset");
+    this.columnMenuPanel.className = "bdt__column-menu";
+    this.columnMenuPanel.id = menuId;
+    this.columnMenuPanel.hidden = true;
+
+    this.columnMenu.append(this.columnMenuButton, this.columnMenuPanel);
+    return this.columnMenu;
+  }
+
   #createBar(startTokens = [], endTokens = [], position) {
     const bar = document.createElement("div");
     bar.className = `bdt__bar bdt__bar--${position}`;
@@ -466,18 +793,43 @@ export class BetterDataTable {
 
   #renderHeader() {
     const row = document.createElement("tr");
+    this.selectAllBox = null;
+    const columnWindow = this.#usesColumnWindow();
+    this.#syncColumnWidths();
+
+    const groupRows = this.#renderHeaderGroups();
+    const depth = groupRows.length;
+    // With grouped headers, body cells name their headers explicitly so screen readers announce the groups too.
+    // cellHeaders holds the finished `headers` attribute value per column.
+    const groupHeaderIds = this.columns.map(() => []);
+    for (const { th, colIndexes } of this.headerGroupCells) {
+      if (th.id) {
+        colIndexes.forEach((colIndex) => groupHeaderIds[colIndex].push(th.id));
+      }
+    }
+    this.cellHeaders = depth > 0 ? [] : null;
 
-    for (const column of this.options.columns) {
+    this.columns.forEach((column, colIndex) => {
       const th = document.createElement("th");
       th.scope = "col";
       th.setAttribute("data-bdt-col-id", column.id);
-
-      if (column.width) {
-        th.style.width = column.width;
+      this.#applyPinStyle(th, colIndex);
+      if (depth > 0) {
+        th.id = `${this.headerIdPrefix}-c${colIndex}`;
+        if (groupHeaderIds[colIndex].length > 0) {
+          th.setAttribute("headers", groupHeaderIds[colIndex].join(" "));
+        }
+        th.style.top = `var(--bdt-head-row-${depth}, 0px)`;
+        this.cellHeaders[colIndex] = [...groupHeaderIds[colIndex], th.id].join(" ");
       }
+
+      this.#applyHeaderWidth(th, column);
       if (column.wrap === true) {
         th.classList.add("bdt__cell--wrap");
       }
+      if (column.valueType.align) {
+        th.classList.add(`bdt__cell--align-${column.valueType.align}`);
+      }
 
       if (column.sortable === false) {
         th.textContent = column.header;
@@ -508,278 +860,2116 @@ export class BetterDataTable {
         th.append(button);
       }
 
-      row.append(th);
-    }
-
-    replaceChildren(this.head, row);
-    this.#updateSortA11y();
-  }
-
-  #attachCoreListeners() {
-    // Debounce prevents one render for every keypress on large datasets.
-    const onSearch = debounce((event) => {
-      this.setSearch(event.target.value);
-    }, this.options.filtering.debounceMs);
-
-    this.#listen(this.searchInput, "input", onSearch);
-
-    this.#listen(this.pageSizeSelect, "change", (event) => {
-      this.setPageSize(Number(event.target.value));
-    });
-
-    this.#listen(this.pager, "click", (event) => {
-      const button = event.target.closest("button[data-bdt-page]");
-      if (!button) {
-        return;
-      }
-
-      const dir = button.getAttribute("data-bdt-page");
-      if (dir === "prev") {
-        this.setPage(this.state.page - 1);
+      if (colIndex === 0 && this.#selectionMode() === "multi" && this.options.selection.checkbox) {
+        this.selectAllBox = document.createElement("input");
+        this.selectAllBox.type = "checkbox";
+        this.selectAllBox.className = "bdt__row-select-all";
+        this.selectAllBox.setAttribute("aria-label", toText(this.options.selection.allLabel));
+        th.prepend(this.selectAllBox);
       }
-      if (dir === "next") {
-        this.setPage(this.state.page + 1);
-      }
-    });
 
-    this.#listen(this.head, "click", (event) => {
-      const button = event.target.closest("button[data-bdt-sort]");
-      if (!button) {
-        return;
+      if (this.options.reordering.enabled && column.reorderable !== false) {
+        th.draggable = true;
+        th.classList.add("bdt__th--reorderable");
       }
 
-      const columnId = button.getAttribute("data-bdt-sort");
-      this.toggleSort(columnId, { add: event.shiftKey && this.options.sorting.multi });
-    });
-
-    this.#listen(this.body, "focusin", (event) => {
-      const cell = event.target.closest("td[data-row-index][data-col-index]");
-      if (!cell) {
-        return;
+      if (this.options.resizing.enabled && column.resizable !== false) {
+        th.classList.add("bdt__th--resizable");
+        th.append(this.#createResizeHandle(column));
       }
 
-      this.lastFocusedCell = {
-        row: Number(cell.dataset.rowIndex),
-        col: Number(cell.dataset.colIndex)
-      };
-      this.#applyCellTabStops();
+      row.append(th);
     });
-
-    this.#listen(this.body, "click", (event) => {
-      const cell = event.target.closest("td[data-row-index][data-col-index]");
-      if (!cell) {
-        return;
+    this.#applyColumnWidthVars();
+
+    this.headerSpacers = [];
+    if (columnWindow) {
+      // Spacers sit between the pinned columns and the scrolling ones, like the body spacer cells.
+      const firstColumns = new Map(this.headerGroupCells.map(({ th, colIndexes }) => [th, colIndexes[0]]));
+      [...row.children].forEach((th, colIndex) => firstColumns.set(th, colIndex));
+      for (const headerRow of [...groupRows, row]) {
+        const spacers = { left: this.#createColumnSpacer("th"), right: this.#createColumnSpacer("th") };
+        const cells = [...headerRow.children];
+        const cellFrom = (colIndex) => cells.find((cell) => firstColumns.get(cell) >= colIndex) || null;
+        headerRow.insertBefore(spacers.left, cellFrom(this.pinnedLeftCount));
+        headerRow.insertBefore(spacers.right, cellFrom(this.columns.length - this.pinnedRightCount));
+        this.headerSpacers.push(spacers);
       }
-
-      this.lastFocusedCell = {
-        row: Number(cell.dataset.rowIndex),
-        col: Number(cell.dataset.colIndex)
-      };
-      this.needsDomFocus = true;
-      this.#applyCellTabStops();
-    });
-
-    if (this.options.a11y.keyboard) {
-      this.#listen(this.body, "keydown", (event) => this.#handleGridKeyboard(event));
+    }
+    this.table.classList.toggle("bdt__table--column-window", columnWindow);
+
+    // Fixed layout sizes columns from the first header row, which is a group row here,
+    // so the widths come from a colgroup that #updateHeaderWindow keeps in step with the window.
+    this.columnGroup?.remove();
+    this.columnGroup = null;
+    if (columnWindow && depth > 0) {
+      this.columnGroup = document.createElement("colgroup");
+      this.table.insertBefore(this.columnGroup, this.head);
     }
 
-    if (this.options.virtualization.enabled) {
-      this.#listen(this.tableWrap, "scroll", () => {
-        const nextScrollTop = this.tableWrap.scrollTop;
-        if (nextScrollTop === this.state.scrollTop) {
-          return;
-        }
+    replaceChildren(this.head, ...groupRows, row);
+    this.#updateSortA11y();
+  }
 
-        const rowHeight = Math.max(24, this.options.virtualization.rowHeight);
-        const previousRow = Math.floor(this.state.scrollTop / rowHeight);
-        const nextRow = Math.floor(nextScrollTop / rowHeight);
+  // One row per nesting level. Adjacent columns of the same group share a cell, so a group that was
+  // split by reordering or pinning gets one cell per run. Columns without a group at a level get an empty cell.
+  #renderHeaderGroups() {
+    this.headerGroupCells = [];
+    const depth = Math.max(0, ...this.columns.map((column) => column.headerGroups.length));
+    const rows = [];
+
+    for (let level = 0; level < depth; level += 1) {
+      const runs = [];
+      this.columns.forEach((column, colIndex) => {
+        const group = column.headerGroups[level] || null;
+        // Empty cells only merge under the same parent group, so they line up with the rows above.
+        const owner = group || column.headerGroups.at(-1) || null;
+        const run = runs.at(-1);
+        if (run && run.group === group && run.owner === owner && this.#pinSide(run.last) === this.#pinSide(colIndex)) {
+          run.colIndexes.push(colIndex);
+          run.last = colIndex;
+        } else {
+          runs.push({ group, owner, colIndexes: [colIndex], last: colIndex });
+        }
+      });
 
-        this.state.scrollTop = nextScrollTop;
-        if (nextRow !== previousRow) {
-          this.requestRender("scroll");
+      const row = document.createElement("tr");
+      row.className = "bdt__head-groups";
+      runs.forEach(({ group, colIndexes }, runIndex) => {
+        const th = document.createElement("th");
+        th.className = "bdt__th-group";
+        th.colSpan = colIndexes.length;
+        th.style.top = `var(--bdt-head-row-${level}, 0px)`;
+        if (group) {
+          th.scope = "colgroup";
+          th.id = `${this.headerIdPrefix}-g${level}-${runIndex}`;
+          th.textContent = toText(group.header);
+        } else {
+          th.classList.add("bdt__th-group--empty");
+          th.setAttribute("aria-hidden", "true");
         }
+        this.#applyGroupPinStyle(th, colIndexes[0], colIndexes.at(-1));
+        this.headerGroupCells.push({ th, colIndexes });
+        row.append(th);
       });
+      rows.push(row);
     }
-  }
 
-  #listen(element, eventName, handler, options = undefined) {
-    element.addEventListener(eventName, handler, options);
-    this.listeners.push(() => element.removeEventListener(eventName, handler, options));
+    return rows;
   }
 
-  #computeRenderResult() {
-    if (this.options.server.enabled) {
-      const pageRows = this.serverSnapshot.rows;
-      const filteredCount = this.serverSnapshot.filteredCount;
-      const totalCount = this.serverSnapshot.totalCount;
-      const safePageSize = Math.max(1, Number(this.state.pageSize) || 1);
-      const totalPages = this.options.pagination.enabled
-        ? filteredCount === 0
-          ? 0
-          : Math.ceil(filteredCount / safePageSize)
-        : filteredCount === 0
-          ? 0
-          : 1;
-
-      return {
-        pageRows,
-        filteredCount,
-        totalCount,
-        totalPages,
-        page: clamp(this.state.page, 0, Math.max(0, totalPages - 1))
-      };
+  #applyGroupPinStyle(th, first, last) {
+    const side = this.#pinSide(first);
+    if (!side) {
+      return;
     }
 
-    const query = this.queryEngine.run({
-      search: this.state.search,
-      sort: this.state.sort,
-      page: this.state.page,
-      pageSize: this.state.pageSize,
-      pagination: this.options.pagination.enabled
-    });
-
-    return {
-      pageRows: query.rows,
-      filteredCount: query.filteredCount,
-      totalCount: query.totalCount,
-      totalPages: query.totalPages,
-      page: query.page
-    };
+    // Left groups stick at their first column's offset, right groups at their last column's.
+    this.#applyPinStyle(th, side === "left" ? first : last);
+    const isEdge = side === "left" ? last === this.pinnedLeftCount - 1 : first === this.columns.length - this.pinnedRightCount;
+    th.classList.toggle("bdt__cell--pin-edge", isEdge);
   }
 
-  #computeVirtualWindow(pageRows) {
-    if (!this.options.virtualization.enabled) {
-      return {
-        visibleRows: pageRows,
-        startRowIndex: 0,
-        endRowIndex: pageRows.length,
-        topPad: 0,
-        bottomPad: 0
-      };
+  // Header rows stack while sticky, so each row sticks below the measured height of the rows above it.
+  #updateHeaderRowOffsets() {
+    const rows = [...this.head.rows];
+    if (rows.length < 2) {
+      return;
     }
 
-    // Virtualization currently assumes constant row height.
-    // TODO: support variable-height rows without forcing callers to disable virtualization.
-    const rowHeight = Math.max(24, this.options.virtualization.rowHeight);
-    const overscan = Math.max(1, this.options.virtualization.overscan);
-    const viewportHeight = Math.max(rowHeight, this.options.virtualization.height);
-    const rowsPerViewport = Math.ceil(viewportHeight / rowHeight);
+    let offset = 0;
+    rows.forEach((row, index) => {
+      this.table.style.setProperty(`--bdt-head-row-${index}`, `${offset}px`);
+      offset += row.getBoundingClientRect().height;
+    });
+  }
 
-    const maxStart = Math.max(0, pageRows.length - rowsPerViewport);
-    const startRowIndex = clamp(Math.floor(this.state.scrollTop / rowHeight) - overscan, 0, maxStart);
-    const endRowIndex = clamp(startRowIndex + rowsPerViewport + overscan * 2, 0, pageRows.length);
+  #usesColumnWindow() {
+    return this.options.virtualization.columns === true;
+  }
 
-    return {
-      visibleRows: pageRows.slice(startRowIndex, endRowIndex),
-      startRowIndex,
-      endRowIndex,
-      topPad: startRowIndex * rowHeight,
-      bottomPad: Math.max(0, (pageRows.length - endRowIndex) * rowHeight)
-    };
+  // this.columns is the display order: left-pinned columns, then the rest, then right-pinned columns.
+  // Each side follows state.columnOrder, with unlisted columns after it in definition order.
+  // Hidden columns are left out entirely, so colIndex only ever counts rendered columns.
+  #applyColumnLayout() {
+    this.columns = this.#orderedColumns().filter((column) => this.#isColumnVisible(column));
+    this.pinnedLeftCount = this.columns.filter((column) => column.pin === "left").length;
+    this.pinnedRightCount = this.columns.filter((column) => column.pin === "right").length;
   }
 
-  #renderBody() {
-    const {
-      pageRows,
-      visibleRows,
-      startRowIndex,
-      topPad,
-      bottomPad
-    } = this.renderResult;
+  #orderedColumns() {
+    const position = new Map(this.state.columnOrder.map((id, index) => [id, index]));
+    const rank = (column) => position.get(column.id) ?? position.size;
+    const side = (column) => (column.pin === "left" ? 0 : column.pin === "right" ? 2 : 1);
+    return [...this.options.columns].sort((left, right) => side(left) - side(right) || rank(left) - rank(right));
+  }
 
-    const fragment = document.createDocumentFragment();
+  #isColumnVisible(column) {
+    return this.state.columnVisibility[column.id] ?? column.visible !== false;
+  }
 
-    if (pageRows.length === 0) {
-      const row = document.createElement("tr");
-      const td = document.createElement("td");
-      td.colSpan = this.options.columns.length;
-      td.className = "bdt__empty";
-      td.textContent = this.options.emptyMessage;
-      row.append(td);
-      fragment.append(row);
-      replaceChildren(this.body, fragment);
-      return;
+  // The query engines only see searchable flags, so hidden columns opt out by being marked unsearchable.
+  #syncSearchColumns() {
+    if (this.options.columnVisibility.searchHidden !== false) {
+      return false;
     }
 
-    if (topPad > 0) {
-      fragment.append(this.#createSpacerRow(topPad));
-    }
+    const columns = this.options.columns.map((column) =>
+      this.#isColumnVisible(column) ? column : { ...column, searchable: false }
+    );
+    this.queryEngine.setColumns(columns);
+    this.workerEngine?.setColumns(columns);
+    return true;
+  }
 
-    visibleRows.forEach((rowData, visibleIndex) => {
-      const pageRowIndex = startRowIndex + visibleIndex;
-      const tr = document.createElement("tr");
-      tr.setAttribute("data-row-index", String(pageRowIndex));
+  #renderColumnMenu() {
+    const focusedId = this.columnMenuPanel.contains(document.activeElement)
+      ? document.activeElement.getAttribute("data-bdt-column-toggle")
+      : null;
 
-      const rowKey = this.#resolveRowKey(rowData, pageRowIndex);
-      tr.setAttribute("data-row-key", rowKey);
+    const legend = document.createElement("legend");
+    legend.className = "bdt__sr-only";
+    legend.textContent = "Visible columns";
 
-      this.options.columns.forEach((column, colIndex) => {
-        const td = document.createElement("td");
-        td.className = column.className || "";
-        if (column.wrap === true) {
-          td.classList.add("bdt__cell--wrap");
-        }
-        td.setAttribute("data-row-index", String(pageRowIndex));
-        td.setAttribute("data-col-index", String(colIndex));
-        td.tabIndex = -1;
+    const options = this.#orderedColumns().map((column) => {
+      const option = document.createElement("label");
+      option.className = "bdt__column-option";
 
-        const value = column.getValue(rowData);
-        this.#renderCellContent(td, column, value, rowData, pageRowIndex, colIndex);
-        tr.append(td);
-      });
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.checked = this.#isColumnVisible(column);
+      // The last visible column cannot be hidden, otherwise the table has nothing left to show.
+      input.disabled = input.checked && this.columns.length === 1;
+      input.setAttribute("data-bdt-column-toggle", column.id);
 
-      fragment.append(tr);
-    });
+      const label = document.createElement("span");
+      label.textContent = column.header;
 
-    if (bottomPad > 0) {
-      fragment.append(this.#createSpacerRow(bottomPad));
-    }
+      option.append(input, label);
+      return option;
+    });
 
-    // Replace tbody content in one shot to avoid partial DOM states between rows.
-    replaceChildren(this.body, fragment);
-    this.#applyCellTabStops();
+    replaceChildren(this.columnMenuPanel, legend, ...options);
 
-    if (this.needsDomFocus) {
-      this.needsDomFocus = false;
-      this.#focusCurrentCell();
+    if (focusedId !== null) {
+      [...this.columnMenuPanel.querySelectorAll("input[data-bdt-column-toggle]")]
+        .find((input) => input.getAttribute("data-bdt-column-toggle") === focusedId)
+        ?.focus();
     }
   }
 
-  #resolveRowKey(rowData, rowIndex) {
-    if (typeof this.options.rowKey === "function") {
-      return toText(this.options.rowKey(rowData, rowIndex));
+  #setColumnMenuOpen(open) {
+    this.columnMenuPanel.hidden = !open;
+    this.columnMenuButton.setAttribute("aria-expanded", String(open));
+    if (open) {
+      this.#renderColumnMenu();
+      this.columnMenuPanel.querySelector("input:not(:disabled)")?.focus();
     }
+  }
 
-    if (typeof this.options.rowKey === "string") {
-      return toText(rowData?.[this.options.rowKey]);
+  #refreshColumns() {
+    // The header is rebuilt, so remember which resize handle or sort button had focus.
+    const focused = this.head.contains(document.activeElement) ? document.activeElement : null;
+    const focusAttribute = ["data-bdt-resize", "data-bdt-sort"].find((name) => focused?.hasAttribute(name));
+    const focusValue = focusAttribute ? focused.getAttribute(focusAttribute) : null;
+
+    this.#applyColumnLayout();
+    // Cached row views hold cells by column position, so they cannot be patched across layouts.
+    this.#resetRowViews();
+    this.footerSignature = null;
+    this.#renderHeader();
+    this.requestRender("columns");
+    if (!this.columnMenuPanel.hidden) {
+      this.#renderColumnMenu();
     }
 
-    return toText(rowIndex);
+    if (focusAttribute) {
+      [...this.head.querySelectorAll(`[${focusAttribute}]`)]
+        .find((element) => element.getAttribute(focusAttribute) === focusValue)
+        ?.focus();
+    }
   }
 
-  #createSpacerRow(height) {
-    const tr = document.createElement("tr");
-    tr.className = "bdt__spacer";
-    tr.setAttribute("aria-hidden", "true");
+  #pinSide(colIndex) {
+    if (colIndex < this.pinnedLeftCount) {
+      return "left";
+    }
+    return colIndex >= this.columns.length - this.pinnedRightCount ? "right" : null;
+  }
 
-    const td = document.createElement("td");
-    td.colSpan = this.options.columns.length;
-    td.style.height = `${height}px`;
+  #applyPinStyle(cell, colIndex) {
+    const side = this.#pinSide(colIndex);
+    if (!side) {
+      return;
+    }
 
-    tr.append(td);
-    return tr;
+    cell.classList.add("bdt__cell--pinned", `bdt__cell--pinned-${side}`);
+    // The offset variables are measured after each render by #updatePinOffsets.
+    cell.style.setProperty(side, `var(--bdt-pin-${colIndex}, 0px)`);
+    const isEdge =
+      side === "left" ? colIndex === this.pinnedLeftCount - 1 : colIndex === this.columns.length - this.pinnedRightCount;
+    if (isEdge) {
+      cell.classList.add("bdt__cell--pin-edge");
+    }
   }
 
-  #renderCellContent(td, column, value, rowData, rowIndex, colIndex) {
-    if (typeof column.render !== "function") {
-      td.textContent = toText(value);
+  #updatePinOffsets() {
+    if (this.pinnedLeftCount === 0 && this.pinnedRightCount === 0) {
       return;
     }
 
-    let rendered;
-    try {
-      rendered = column.render(value, rowData, {
-        rowIndex,
+    const headerCells = new Map(
+      [...this.head.querySelectorAll("th[data-bdt-col-id]")].map((th) => [th.getAttribute("data-bdt-col-id"), th])
+    );
+    const widthOf = (column) =>
+      headerCells.get(column.id)?.getBoundingClientRect().width || this.columnIndex.sizeOf(column.id);
+
+    let offset = 0;
+    for (let colIndex = 0; colIndex < this.pinnedLeftCount; colIndex += 1) {
+      this.table.style.setProperty(`--bdt-pin-${colIndex}`, `${offset}px`);
+      offset += widthOf(this.columns[colIndex]);
+    }
+
+    offset = 0;
+    for (let colIndex = this.columns.length - 1; colIndex >= this.columns.length - this.pinnedRightCount; colIndex -= 1) {
+      this.table.style.setProperty(`--bdt-pin-${colIndex}`, `${offset}px`);
+      offset += widthOf(this.columns[colIndex]);
+    }
+  }
+
+  #syncColumnWidths() {
+    this.columnIndex.clear();
+    this.columnIndex.setKeys(this.columns.map((column) => column.id));
+    for (const column of this.columns) {
+      const width = this.state.columnWidths[column.id] ?? pixelWidth(column.width);
+      if (width !== null) {
+        this.columnIndex.measure(column.id, width);
+      }
+    }
+  }
+
+  #applyHeaderWidth(th, column) {
+    const resized = this.state.columnWidths[column.id];
+    if (this.#usesColumnWindow()) {
+      // Fixed layout takes column widths from the header, so every column needs one.
+      th.style.width = `${this.columnIndex.sizeOf(column.id)}px`;
+    } else if (resized !== undefined) {
+      // Auto layout treats width as a minimum, so a resized column pins all three.
+      th.style.width = `${resized}px`;
+      th.style.minWidth = `${resized}px`;
+      th.style.maxWidth = `${resized}px`;
+    } else if (column.width) {
+      th.style.width = column.width;
+    }
+  }
+
+  // Body cells of resized columns read their max-width from these variables, so dragging a handle
+  // only touches the header and the table style instead of every rendered cell.
+  #applyColumnWidthVars() {
+    this.columns.forEach((column, colIndex) => {
+      const resized = this.state.columnWidths[column.id];
+      if (resized === undefined) {
+        this.table.style.removeProperty(`--bdt-col-${colIndex}-width`);
+      } else {
+        this.table.style.setProperty(`--bdt-col-${colIndex}-width`, `${resized}px`);
+      }
+    });
+  }
+
+  #createResizeHandle(column) {
+    const handle = document.createElement("span");
+    handle.className = "bdt__resize-handle";
+    handle.tabIndex = 0;
+    handle.setAttribute("role", "separator");
+    handle.setAttribute("aria-orientation", "vertical");
+    handle.setAttribute("aria-label", `Resize ${column.header} column`);
+    handle.setAttribute("data-bdt-resize", column.id);
+
+    const { min, max } = this.#columnWidthLimits(column);
+    handle.setAttribute("aria-valuemin", String(min));
+    if (Number.isFinite(max)) {
+      handle.setAttribute("aria-valuemax", String(max));
+    }
+    const width = this.state.columnWidths[column.id];
+    if (width !== undefined) {
+      handle.setAttribute("aria-valuenow", String(width));
+    }
+    return handle;
+  }
+
+  #columnWidthLimits(column) {
+    const min = Number(column.minWidth ?? this.options.resizing.minWidth) || 0;
+    const max = Number(column.maxWidth ?? this.options.resizing.maxWidth) || Infinity;
+    return { min, max: Math.max(min, max) };
+  }
+
+  #headerCell(columnId) {
+    return [...this.head.querySelectorAll("th[data-bdt-col-id]")].find(
+      (cell) => cell.getAttribute("data-bdt-col-id") === columnId
+    );
+  }
+
+  #currentColumnWidth(columnId) {
+    return (
+      this.state.columnWidths[columnId] ??
+      (this.#headerCell(columnId)?.getBoundingClientRect().width || this.columnIndex.sizeOf(columnId))
+    );
+  }
+
+  #resizeColumn(columnId, width, { commit = true } = {}) {
+    const column = this.options.columns.find((item) => item.id === columnId);
+    if (!column) {
+      return;
+    }
+
+    const previous = this.state.columnWidths[columnId];
+    const widths = { ...this.state.columnWidths };
+    if (width === null || width === undefined) {
+      delete widths[columnId];
+    } else {
+      const { min, max } = this.#columnWidthLimits(column);
+      widths[columnId] = Math.round(clamp(Number(width) || 0, min, max));
+    }
+    this.state.columnWidths = widths;
+
+    const next = widths[columnId] ?? null;
+    if (previous === undefined || next === null) {
+      // Cells only reference the width variable once their column has been resized.
+      this.#refreshColumns();
+    } else if (previous !== next) {
+      this.#updateResizedColumn(column, next);
+    }
+
+    if (commit) {
+      this.#persistState();
+      this.#emit("columnResize", { columnId, width: next });
+      this.#emit("stateChange", { reason: "column-resize", state: this.getState() });
+    }
+  }
+
+  #updateResizedColumn(column, width) {
+    this.columnIndex.measure(column.id, width);
+    const th = this.#headerCell(column.id);
+    if (th) {
+      this.#applyHeaderWidth(th, column);
+      th.querySelector("[data-bdt-resize]")?.setAttribute("aria-valuenow", String(width));
+    }
+    this.#applyColumnWidthVars();
+    // Pin offsets and the column window depend on widths, so let the next frame recompute them.
+    this.requestRender("column-resize");
+  }
+
+  #autoFitColumn(columnId) {
+    const colIndex = this.columns.findIndex((column) => column.id === columnId);
+    const th = this.head.querySelectorAll("th[data-bdt-col-id]")[colIndex];
+    if (!th) {
+      return;
+    }
+
+    // scrollWidth reports the full content width even while a resized cell clips it.
+    const label = th.querySelector(".bdt__sort-btn") || th;
+    const cells = this.body.querySelectorAll(`td[data-col-index="${colIndex}"]`);
+    const contentWidth = Math.max(label.scrollWidth, ...[...cells].map((cell) => cell.scrollWidth));
+    if (!(contentWidth > 0)) {
+      // Nothing measurable (no layout); dropping the override lets the browser size it to content.
+      this.#resizeColumn(columnId, null);
+      return;
+    }
+
+    const style = getComputedStyle(th);
+    const padding = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+    this.#resizeColumn(columnId, contentWidth + padding);
+  }
+
+  #startColumnDrag(event, columnId) {
+    event.preventDefault();
+    const startX = event.clientX;
+    const startWidth = this.#currentColumnWidth(columnId);
+    let lastWidth = startWidth;
+    let moved = false;
+    this.root.classList.add("bdt-host--resizing");
+
+    const onMove = (moveEvent) => {
+      moved ||= moveEvent.clientX !== startX;
+      lastWidth = startWidth + (moveEvent.clientX - startX);
+      this.#resizeColumn(columnId, lastWidth, { commit: false });
+    };
+    const onUp = () => {
+      document.removeEventListener("pointermove", onMove);
+      document.removeEventListener("pointerup", onUp);
+      this.stopColumnDrag = null;
+      this.root.classList.remove("bdt-host--resizing");
+      // A click or the clicks of a double-click autofit must not save the measured width as a fixed one.
+      if (moved) {
+        this.#resizeColumn(columnId, lastWidth);
+      }
+    };
+
+    document.addEventListener("pointermove", onMove);
+    document.addEventListener("pointerup", onUp);
+    // destroy() may run mid-drag; keep a way to drop the document listeners.
+    this.stopColumnDrag = () => {
+      document.removeEventListener("pointermove", onMove);
+      document.removeEventListener("pointerup", onUp);
+    };
+  }
+
+  #handleResizeKeyboard(event, columnId) {
+    const step = Math.max(1, Number(this.options.resizing.step) || 16);
+    let delta = 0;
+    if (event.key === "ArrowLeft") {
+      delta = -step;
+    } else if (event.key === "ArrowRight") {
+      delta = step;
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      this.#autoFitColumn(columnId);
+      return;
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    this.#resizeColumn(columnId, this.#currentColumnWidth(columnId) + delta);
+  }
+
+  #isDropAfter(event, th) {
+    const rect = th.getBoundingClientRect();
+    return event.clientX > rect.left + rect.width / 2;
+  }
+
+  #clearDropMarkers() {
+    for (const cell of this.head.querySelectorAll(".bdt__th--drop-before, .bdt__th--drop-after")) {
+      cell.classList.remove("bdt__th--drop-before", "bdt__th--drop-after");
+    }
+  }
+
+  #moveColumn(columnId, targetId, after) {
+    if (columnId === targetId) {
+      return;
+    }
+
+    const order = this.getColumnOrder().filter((id) => id !== columnId);
+    const targetIndex = order.indexOf(targetId);
+    if (targetIndex < 0) {
+      return;
+    }
+    order.splice(after ? targetIndex + 1 : targetIndex, 0, columnId);
+    this.setColumnOrder(order);
+  }
+
+  #shiftColumn(columnId, direction) {
+    // Step over hidden columns so every key press visibly moves the column.
+    const order = this.columns.map((column) => column.id);
+    const index = order.indexOf(columnId);
+    const target = order[index + direction];
+    if (index >= 0 && target !== undefined) {
+      this.#moveColumn(columnId, target, direction > 0);
+    }
+  }
+
+  #createColumnSpacer(tagName) {
+    const cell = document.createElement(tagName);
+    cell.className = "bdt__col-spacer";
+    cell.setAttribute("aria-hidden", "true");
+    return cell;
+  }
+
+  // Pinned columns are always rendered; only the columns between them are windowed.
+  #computeColumnWindow() {
+    const count = this.columns.length;
+    const scrollStart = this.pinnedLeftCount;
+    const scrollEnd = count - this.pinnedRightCount;
+    const viewportWidth = this.tableWrap.clientWidth;
+
+    let startColIndex = scrollStart;
+    let endColIndex = scrollEnd;
+    let leftPad = 0;
+    let rightPad = 0;
+
+    // Without a layout (hidden container, SSR, tests) there is no viewport to window against.
+    if (this.#usesColumnWindow() && viewportWidth > 0) {
+      const overscan = Math.max(0, Number(this.options.virtualization.columnOverscan) || 0);
+      const pinnedLeftWidth = this.columnIndex.offsetOf(scrollStart);
+      const pinnedRightWidth = this.columnIndex.totalSize() - this.columnIndex.offsetOf(scrollEnd);
+      const firstVisible = this.columnIndex.indexAt(this.scrollLeft + pinnedLeftWidth);
+      const lastVisible = this.columnIndex.indexAt(this.scrollLeft + viewportWidth - pinnedRightWidth);
+
+      startColIndex = clamp(firstVisible - overscan, scrollStart, scrollEnd);
+      endColIndex = clamp(lastVisible + 1 + overscan, startColIndex, scrollEnd);
+      leftPad = this.columnIndex.offsetOf(startColIndex) - pinnedLeftWidth;
+      rightPad = Math.max(0, this.columnIndex.offsetOf(scrollEnd) - this.columnIndex.offsetOf(endColIndex));
+    }
+
+    // Column positions in render order; the spacer entries stand in for the skipped columns.
+    const columnLayout = [];
+    for (let colIndex = 0; colIndex < scrollStart; colIndex += 1) {
+      columnLayout.push(colIndex);
+    }
+    if (leftPad > 0) {
+      columnLayout.push("left-spacer");
+    }
+    for (let colIndex = startColIndex; colIndex < endColIndex; colIndex += 1) {
+      columnLayout.push(colIndex);
+    }
+    if (rightPad > 0) {
+      columnLayout.push("right-spacer");
+    }
+    for (let colIndex = scrollEnd; colIndex < count; colIndex += 1) {
+      columnLayout.push(colIndex);
+    }
+
+    return { columnLayout, startColIndex, endColIndex, leftPad, rightPad };
+  }
+
+  #updateHeaderWindow() {
+    if (this.headerSpacers.length === 0) {
+      return;
+    }
+
+    const { columnLayout, leftPad, rightPad } = this.renderResult;
+    const rendered = new Set(columnLayout);
+    this.head.querySelectorAll("th[data-bdt-col-id]").forEach((th, colIndex) => {
+      th.hidden = !rendered.has(colIndex);
+    });
+    // Group cells span only their rendered columns and disappear when none of them are in the window.
+    for (const { th, colIndexes } of this.headerGroupCells) {
+      const span = colIndexes.filter((colIndex) => rendered.has(colIndex)).length;
+      th.hidden = span === 0;
+      th.colSpan = Math.max(1, span);
+    }
+
+    for (const spacers of this.headerSpacers) {
+      for (const [spacer, width] of [[spacers.left, leftPad], [spacers.right, rightPad]]) {
+        spacer.hidden = width === 0;
+        spacer.style.width = `${width}px`;
+      }
+    }
+
+    if (this.columnGroup) {
+      const widths = { "left-spacer": leftPad, "right-spacer": rightPad };
+      const cols = columnLayout.map((entry) => {
+        const col = document.createElement("col");
+        col.style.width = `${widths[entry] ?? this.columnIndex.sizeOf(this.columns[entry].id)}px`;
+        return col;
+      });
+      replaceChildren(this.columnGroup, ...cols);
+    }
+    this.table.style.width = `${this.columnIndex.totalSize()}px`;
+  }
+
+  #scrollColumnIntoView(colIndex) {
+    // Pinned columns never scroll out of view.
+    if (this.#pinSide(colIndex)) {
+      return;
+    }
+
+    const viewportWidth = this.tableWrap.clientWidth;
+    const pinnedLeftWidth = this.columnIndex.offsetOf(this.pinnedLeftCount);
+    const pinnedRightWidth =
+      this.columnIndex.totalSize() - this.columnIndex.offsetOf(this.columns.length - this.pinnedRightCount);
+    const left = this.columnIndex.offsetOf(colIndex) - pinnedLeftWidth;
+    const right = this.columnIndex.offsetOf(colIndex + 1) + pinnedRightWidth;
+
+    if (left < this.scrollLeft) {
+      this.scrollLeft = left;
+    } else if (viewportWidth > 0 && right > this.scrollLeft + viewportWidth) {
+      this.scrollLeft = right - viewportWidth;
+    } else {
+      return;
+    }
+    this.tableWrap.scrollLeft = this.scrollLeft;
+  }
+
+  #bodyColumnSpan() {
+    return this.renderResult.columnLayout.length;
+  }
+
+  #attachCoreListeners() {
+    // Debounce prevents one render for every keypress on large datasets.
+    const onSearch = debounce((event) => {
+      this.setSearch(event.target.value);
+    }, this.options.filtering.debounceMs);
+
+    this.#listen(this.searchInput, "input", onSearch);
+
+    this.#listen(this.pageSizeSelect, "change", (event) => {
+      this.setPageSize(Number(event.target.value));
+    });
+
+    this.#listen(this.pager, "click", (event) => {
+      const button = event.target.closest("button[data-bdt-page]");
+      if (!button) {
+        return;
+      }
+
+      const dir = button.getAttribute("data-bdt-page");
+      if (dir === "prev") {
+        this.setPage(this.state.page - 1);
+      }
+      if (dir === "next") {
+        this.setPage(this.state.page + 1);
+      }
+    });
+
+    this.#listen(this.facetPanel, "change", (event) => {
+      const input = event.target.closest("input[data-bdt-facet]");
+      if (!input) {
+        return;
+      }
+
+      const columnId = input.getAttribute("data-bdt-facet");
+      const facet = this.facetViews.get(columnId)?.values[Number(input.getAttribute("data-bdt-facet-index"))];
+      if (facet) {
+        this.#toggleFacetValue(columnId, facet.value, input.checked);
+      }
+    });
+
+    this.#listen(this.columnMenuButton, "click", () => {
+      this.#setColumnMenuOpen(this.columnMenuPanel.hidden);
+    });
+
+    this.#listen(this.columnMenuPanel, "change", (event) => {
+      const input = event.target.closest("input[data-bdt-column-toggle]");
+      if (input) {
+        this.setColumnVisibility(input.getAttribute("data-bdt-column-toggle"), input.checked);
+      }
+    });
+
+    this.#listen(this.columnMenu, "keydown", (event) => {
+      if (event.key === "Escape" && !this.columnMenuPanel.hidden) {
+        event.preventDefault();
+        this.#setColumnMenuOpen(false);
+        this.columnMenuButton.focus();
+      }
+    });
+
+    // Clicking anywhere outside the menu closes it, like a native popup.
+    this.#listen(document, "click", (event) => {
+      if (!this.columnMenuPanel.hidden && !this.columnMenu.contains(event.target)) {
+        this.#setColumnMenuOpen(false);
+      }
+    });
+
+    this.#listen(this.head, "pointerdown", (event) => {
+      const handle = event.target.closest("[data-bdt-resize]");
+      if (handle && event.button === 0) {
+        this.#startColumnDrag(event, handle.getAttribute("data-bdt-resize"));
+      }
+    });
+
+    this.#listen(this.head, "dblclick", (event) => {
+      const handle = event.target.closest("[data-bdt-resize]");
+      if (handle) {
+        this.#autoFitColumn(handle.getAttribute("data-bdt-resize"));
+      }
+    });
+
+    this.#listen(this.head, "keydown", (event) => {
+      const handle = event.target.closest("[data-bdt-resize]");
+      if (handle) {
+        this.#handleResizeKeyboard(event, handle.getAttribute("data-bdt-resize"));
+        return;
+      }
+
+      // Alt+Arrow on a focused sort button is the keyboard alternative to dragging a header.
+      const button = event.target.closest("button[data-bdt-sort]");
+      if (button && event.altKey && (event.key === "ArrowLeft" || event.key === "ArrowRight")) {
+        event.preventDefault();
+        this.#shiftColumn(button.getAttribute("data-bdt-sort"), event.key === "ArrowLeft" ? -1 : 1);
+      }
+    });
+
+    this.#listen(this.head, "dragstart", (event) => {
+      const th = event.target.closest?.("th[data-bdt-col-id]");
+      // A resize drag must not also start moving the column.
+      if (!th || !th.draggable || this.stopColumnDrag) {
+        event.preventDefault();
+        return;
+      }
+
+      this.draggedColumnId = th.getAttribute("data-bdt-col-id");
+      th.classList.add("bdt__th--dragging");
+      if (event.dataTransfer) {
+        event.dataTransfer.effectAllowed = "move";
+        event.dataTransfer.setData("text/plain", this.draggedColumnId);
+      }
+    });
+
+    this.#listen(this.head, "dragover", (event) => {
+      const th = event.target.closest?.("th[data-bdt-col-id]");
+      if (!th || this.draggedColumnId === null) {
+        return;
+      }
+
+      event.preventDefault();
+      this.#clearDropMarkers();
+      th.classList.add(this.#isDropAfter(event, th) ? "bdt__th--drop-after" : "bdt__th--drop-before");
+    });
+
+    this.#listen(this.head, "drop", (event) => {
+      const th = event.target.closest?.("th[data-bdt-col-id]");
+      const columnId = this.draggedColumnId;
+      if (!th || columnId === null) {
+        return;
+      }
+
+      event.preventDefault();
+      this.#moveColumn(columnId, th.getAttribute("data-bdt-col-id"), this.#isDropAfter(event, th));
+    });
+
+    this.#listen(this.head, "dragend", () => {
+      this.draggedColumnId = null;
+      this.#clearDropMarkers();
+      this.head.querySelector(".bdt__th--dragging")?.classList.remove("bdt__th--dragging");
+    });
+
+    this.#listen(this.head, "click", (event) => {
+      if (event.target === this.selectAllBox) {
+        this.#togglePageSelection();
+        return;
+      }
+
+      const button = event.target.closest("button[data-bdt-sort]");
+      if (!button) {
+        return;
+      }
+
+      const columnId = button.getAttribute("data-bdt-sort");
+      this.toggleSort(columnId, { add: event.shiftKey && this.options.sorting.multi });
+    });
+
+    this.#listen(this.body, "focusin", (event) => {
+      const cell = event.target.closest("td[data-row-index][data-col-index]");
+      if (!cell) {
+        return;
+      }
+
+      this.lastFocusedCell = {
+        row: Number(cell.dataset.rowIndex),
+        col: Number(cell.dataset.colIndex)
+      };
+      this.#applyCellTabStops();
+    });
+
+    this.#listen(this.body, "click", (event) => {
+      const groupToggle = event.target.closest("button[data-bdt-group]");
+      if (groupToggle) {
+        this.pendingGroupFocus = groupToggle.getAttribute("data-bdt-group");
+        this.toggleGroup(this.pendingGroupFocus);
+        return;
+      }
+
+      const detailToggle = event.target.closest("button[data-bdt-detail]");
+      if (detailToggle) {
+        this.toggleRow(detailToggle.getAttribute("data-bdt-detail"));
+        return;
+      }
+
+      const selectBox = event.target.closest("input[data-bdt-select]");
+      if (selectBox) {
+        this.#toggleRowSelection(selectBox.getAttribute("data-bdt-select"), { range: event.shiftKey });
+        return;
+      }
+
+      const cell = event.target.closest("td[data-row-index][data-col-index]");
+      // Clicks inside an open editor must not pull focus back to the cell on the next render.
+      if (!cell || cell === this.activeEdit?.td) {
+        return;
+      }
+
+      this.lastFocusedCell = {
+        row: Number(cell.dataset.rowIndex),
+        col: Number(cell.dataset.colIndex)
+      };
+      this.needsDomFocus = true;
+      this.#applyCellTabStops();
+
+      // Without checkboxes the row itself is the selection target, with the usual modifier keys.
+      if (this.#selectionMode() !== "none" && !this.options.selection.checkbox) {
+        const rowKey = cell.parentElement.getAttribute("data-row-key");
+        if (event.shiftKey || event.ctrlKey || event.metaKey) {
+          this.#toggleRowSelection(rowKey, { range: event.shiftKey });
+        } else {
+          this.selectionAnchor = rowKey;
+          this.#setSelection([rowKey]);
+        }
+      }
+    });
+
+    if (this.options.rangeSelection.enabled) {
+      this.#listen(this.body, "pointerdown", (event) => {
+        const cell = event.target.closest("td[data-row-index][data-col-index]");
+        const control = event.target.closest("button, input, select");
+        if (!cell || control || event.button !== 0 || cell === this.activeEdit?.td) {
+          return;
+        }
+        this.#startRangeDrag(cell, { extend: event.shiftKey });
+      });
+
+      // Copy and paste events reach the focused cell, and only they may touch the system clipboard.
+      this.#listen(this.body, "copy", (event) => {
+        const grid = this.activeEdit?.td.contains(event.target) ? null : this.#rangeValues();
+        if (grid && event.clipboardData) {
+          event.preventDefault();
+          event.clipboardData.setData("text/plain", toTsv(grid));
+          event.clipboardData.setData("text/html", toHtmlTable(grid));
+        }
+      });
+
+      this.#listen(this.body, "paste", (event) => {
+        if (this.activeEdit?.td.contains(event.target) || !event.clipboardData) {
+          return;
+        }
+        event.preventDefault();
+        // An empty clipboard (or one holding only an image) would otherwise blank the whole range.
+        const text = event.clipboardData.getData("text/plain");
+        if (text) {
+          this.#pasteGrid(parseTsv(text));
+        }
+      });
+    }
+
+    this.#listen(this.body, "dblclick", (event) => {
+      const cell = event.target.closest("td[data-row-index][data-col-index]");
+      if (cell && !event.target.closest("button")) {
+        this.#openEditor(cell);
+      }
+    });
+
+    // Editing keys work even when grid keyboard navigation is turned off.
+    this.#listen(this.body, "keydown", (event) => {
+      if (this.activeEdit?.td.contains(event.target)) {
+        this.#handleEditorKeyboard(event);
+        return;
+      }
+
+      const cell = event.target.closest("td[data-row-index][data-col-index]");
+      if (cell === event.target && (event.key === "Enter" || event.key === "F2")) {
+        if (this.#openEditor(cell)) {
+          event.preventDefault();
+        }
+      }
+    });
+
+    this.#listen(this.body, "focusout", (event) => {
+      const edit = this.activeEdit;
+      if (edit && edit.td.contains(event.target) && !edit.td.contains(event.relatedTarget)) {
+        this.#commitEdit();
+      }
+    });
+
+    if (this.options.a11y.keyboard) {
+      this.#listen(this.body, "keydown", (event) => {
+        const groupToggle = event.target.closest("button[data-bdt-group]");
+        if (groupToggle) {
+          this.#handleGroupKeyboard(event, groupToggle.getAttribute("data-bdt-group"));
+          return;
+        }
+        this.#handleGridKeyboard(event);
+      });
+    }
+
+    if (this.options.virtualization.enabled || this.#usesColumnWindow()) {
+      this.#listen(this.tableWrap, "scroll", () => {
+        // Only re-render when the first visible row or column changes, not on every scrolled pixel.
+        let windowChanged = false;
+
+        const nextScrollTop = this.tableWrap.scrollTop;
+        if (this.options.virtualization.enabled && nextScrollTop !== this.state.scrollTop) {
+          windowChanged =
+            this.heightIndex.indexAt(this.state.scrollTop) !== this.heightIndex.indexAt(nextScrollTop);
+          this.state.scrollTop = nextScrollTop;
+        }
+
+        const nextScrollLeft = this.tableWrap.scrollLeft;
+        if (this.#usesColumnWindow() && nextScrollLeft !== this.scrollLeft) {
+          windowChanged =
+            windowChanged || this.columnIndex.indexAt(this.scrollLeft) !== this.columnIndex.indexAt(nextScrollLeft);
+          this.scrollLeft = nextScrollLeft;
+        }
+
+        if (windowChanged) {
+          this.requestRender("scroll");
+        }
+      });
+    }
+
+    if (this.#usesColumnWindow() && typeof window !== "undefined") {
+      // A wider viewport shows more columns, so the column window has to follow resizes.
+      this.#listen(window, "resize", () => this.requestRender("resize"));
+    }
+  }
+
+  #listen(element, eventName, handler, options = undefined) {
+    element.addEventListener(eventName, handler, options);
+    this.listeners.push(() => element.removeEventListener(eventName, handler, options));
+  }
+
+  #computeRenderResult() {
+    if (this.#usesRemoteRows()) {
+      let pageRows = this.serverSnapshot.rows;
+      let pageItems = this.#rowItems(pageRows);
+      if (this.serverSnapshot.items) {
+        // The worker already grouped and paged the full result set.
+        pageItems = this.serverSnapshot.items;
+        pageRows = this.#indexRowItems(pageItems);
+      } else if (this.#hasGrouping()) {
+        // Server pages are grouped locally; group headers only describe rows on the current page.
+        pageItems = this.queryEngine.groupRows(pageRows, {
+          grouping: this.options.grouping,
+          sort: this.state.sort,
+          collapsedGroups: this.state.collapsedGroups
+        }).items;
+        pageRows = this.#indexRowItems(pageItems);
+      }
+      const filteredCount = this.serverSnapshot.filteredCount;
+      const totalCount = this.serverSnapshot.totalCount;
+      const safePageSize = Math.max(1, Number(this.state.pageSize) || 1);
+      const computedPages = this.options.pagination.enabled
+        ? filteredCount === 0
+          ? 0
+          : Math.ceil(filteredCount / safePageSize)
+        : filteredCount === 0
+          ? 0
+          : 1;
+      const totalPages = this.serverSnapshot.totalPages ?? computedPages;
+
+      return {
+        aggregates: this.serverSnapshot.aggregates,
+        pageRows,
+        pageItems,
+        filteredCount,
+        totalCount,
+        totalPages,
+        page: clamp(this.state.page, 0, Math.max(0, totalPages - 1)),
+        queryTiming: this.serverSnapshot.timing || null
+      };
+    }
+
+    const query = this.queryEngine.run({
+      search: this.state.search,
+      filters: this.state.filters,
+      sort: this.state.sort,
+      page: this.state.page,
+      pageSize: this.state.pageSize,
+      pagination: this.options.pagination.enabled,
+      grouping: this.#hasGrouping() ? this.options.grouping : null,
+      collapsedGroups: this.state.collapsedGroups,
+      aggregates: this.#footerScope() === "filtered" ? this.footerAggregates : null
+    });
+
+    return {
+      aggregates: query.aggregates,
+      pageRows: query.rows,
+      pageItems: query.items || this.#rowItems(query.rows),
+      filteredCount: query.filteredCount,
+      totalCount: query.totalCount,
+      totalPages: query.totalPages,
+      page: query.page,
+      queryTiming: query.timing
+    };
+  }
+
+  #hasGrouping() {
+    return Array.isArray(this.options.grouping.by) && this.options.grouping.by.length > 0;
+  }
+
+  #rowItems(rows) {
+    // Scroll renders reuse the same page array, so keep the item wrappers too.
+    if (this.rowItemsCache?.rows === rows) {
+      return this.rowItemsCache.items;
+    }
+
+    const items = rows.map((row, rowIndex) => ({ type: "row", row, rowIndex }));
+    this.rowItemsCache = { rows, items };
+    return items;
+  }
+
+  #hasRowDetail() {
+    return typeof this.options.rowDetail.render === "function";
+  }
+
+  #selectionMode() {
+    const { mode } = this.options.selection;
+    return mode === "single" || mode === "multi" ? mode : "none";
+  }
+
+  #pageKeys() {
+    return (this.renderResult?.pageRows || []).map((row, index) => this.#resolveRowKey(row, index));
+  }
+
+  // Finds row objects for keys, looking at the current page before scanning all client rows.
+  #lookupRows(keys) {
+    const wanted = new Set(keys);
+    const found = new Map();
+    (this.renderResult?.pageRows || []).forEach((row, index) => {
+      const key = this.#resolveRowKey(row, index);
+      if (wanted.has(key)) {
+        found.set(key, row);
+      }
+    });
+    if (found.size < wanted.size) {
+      this.data.forEach((row, index) => {
+        const key = this.#resolveRowKey(row, index);
+        if (wanted.has(key) && !found.has(key)) {
+          found.set(key, row);
+        }
+      });
+    }
+    return found;
+  }
+
+  // Replaces the selection with `keys`; single mode keeps only the last one.
+  #setSelection(keys) {
+    const mode = this.#selectionMode();
+    if (mode === "none") {
+      return;
+    }
+
+    let next = [...new Set([...keys].map(toText))];
+    if (mode === "single") {
+      next = next.slice(-1);
+    }
+
+    const nextKeys = new Set(next);
+    const added = next.filter((key) => !this.selectedRows.has(key));
+    const removed = [...this.selectedRows.keys()].filter((key) => !nextKeys.has(key));
+    if (added.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    removed.forEach((key) => this.selectedRows.delete(key));
+    const rows = this.#lookupRows(added);
+    // Keys that are not loaded yet (server mode) stay selected and get their row once it renders.
+    added.forEach((key) => this.selectedRows.set(key, rows.get(key)));
+    this.#emitSelectionChange(added, removed);
+    this.requestRender("selection");
+  }
+
+  // Client data changed: selected rows that are gone are deselected, the rest point at their current object.
+  #syncSelectedRows() {
+    if (this.selectedRows.size === 0 || this.options.server.enabled) {
+      return;
+    }
+
+    const rows = new Map(this.data.map((row, index) => [this.#resolveRowKey(row, index), row]));
+    const removed = [];
+    for (const key of this.selectedRows.keys()) {
+      if (rows.has(key)) {
+        this.selectedRows.set(key, rows.get(key));
+      } else {
+        this.selectedRows.delete(key);
+        removed.push(key);
+      }
+    }
+    if (removed.length > 0) {
+      this.#emitSelectionChange([], removed);
+    }
+  }
+
+  #emitSelectionChange(added, removed) {
+    this.#emit("selectionChange", { keys: [...this.selectedRows.keys()], added, removed });
+  }
+
+  // Shift extends the selection from the last toggled row over the current page order.
+  #toggleRowSelection(rowKey, { range = false } = {}) {
+    const selected = [...this.selectedRows.keys()];
+    if (range && this.#selectionMode() === "multi" && this.selectionAnchor !== null) {
+      const pageKeys = this.#pageKeys();
+      const from = pageKeys.indexOf(this.selectionAnchor);
+      const to = pageKeys.indexOf(rowKey);
+      if (from >= 0 && to >= 0) {
+        this.#setSelection([...selected, ...pageKeys.slice(Math.min(from, to), Math.max(from, to) + 1)]);
+        return;
+      }
+    }
+
+    this.selectionAnchor = rowKey;
+    this.#setSelection(this.selectedRows.has(rowKey) ? selected.filter((key) => key !== rowKey) : [...selected, rowKey]);
+  }
+
+  #togglePageSelection() {
+    const pageKeys = this.#pageKeys();
+    const selected = [...this.selectedRows.keys()];
+    const allSelected = pageKeys.length > 0 && pageKeys.every((key) => this.selectedRows.has(key));
+    this.#setSelection(
+      allSelected ? selected.filter((key) => !pageKeys.includes(key)) : [...selected, ...pageKeys]
+    );
+  }
+
+  #updateSelectAll() {
+    if (!this.selectAllBox) {
+      return;
+    }
+
+    const pageKeys = this.#pageKeys();
+    const count = pageKeys.filter((key) => this.selectedRows.has(key)).length;
+    this.selectAllBox.checked = count > 0 && count === pageKeys.length;
+    this.selectAllBox.indeterminate = count > 0 && count < pageKeys.length;
+    this.selectAllBox.disabled = pageKeys.length === 0;
+  }
+
+  // Expanded rows are followed by a detail item, so virtualization measures detail rows like any other row.
+  #withDetailItems(items) {
+    if (!this.#hasRowDetail() || this.state.expandedRows.length === 0) {
+      return items;
+    }
+
+    const cache = this.detailItemsCache;
+    if (cache?.items === items && cache.expandedRows === this.state.expandedRows) {
+      return cache.result;
+    }
+
+    const expanded = new Set(this.state.expandedRows);
+    const result = [];
+    for (const item of items) {
+      result.push(item);
+      if (item.type === "row" && expanded.has(this.#resolveRowKey(item.row, item.rowIndex))) {
+        result.push({ type: "detail", row: item.row, rowIndex: item.rowIndex });
+      }
+    }
+    this.detailItemsCache = { items, expandedRows: this.state.expandedRows, result };
+    return result;
+  }
+
+  #isRowExpanded(rowKey) {
+    return this.state.expandedRows.includes(rowKey);
+  }
+
+  #indexRowItems(items) {
+    const rows = [];
+    for (const item of items) {
+      if (item.type === "row") {
+        item.rowIndex = rows.length;
+        rows.push(item.row);
+      }
+    }
+    return rows;
+  }
+
+  #itemIndexOfRow(rowIndex) {
+    const { pageItems, pageRows } = this.renderResult;
+    if (pageItems.length === pageRows.length) {
+      return rowIndex;
+    }
+    return Math.max(0, pageItems.findIndex((item) => item.type === "row" && item.rowIndex === rowIndex));
+  }
+
+  #computeVirtualWindow(pageItems) {
+    if (!this.options.virtualization.enabled) {
+      return this.#windowResult(pageItems, 0, pageItems.length, 0, 0);
+    }
+
+    // rowHeight is only the estimate for rows that have not been rendered yet.
+    // Rendered rows are measured, so wrapped text and multi-line renderers keep the spacers exact.
+    const overscan = Math.max(1, this.options.virtualization.overscan);
+    const viewportHeight = Math.max(24, this.options.virtualization.height);
+    this.heightIndex.setKeys(this.#itemKeys(pageItems));
+
+    const firstVisible = this.heightIndex.indexAt(this.state.scrollTop);
+    const lastVisible = this.heightIndex.indexAt(this.state.scrollTop + viewportHeight);
+    const startItemIndex = clamp(firstVisible - overscan, 0, pageItems.length);
+    const endItemIndex = clamp(lastVisible + 1 + overscan, 0, pageItems.length);
+
+    return this.#windowResult(
+      pageItems,
+      startItemIndex,
+      endItemIndex,
+      this.heightIndex.offsetOf(startItemIndex),
+      Math.max(0, this.heightIndex.totalSize() - this.heightIndex.offsetOf(endItemIndex))
+    );
+  }
+
+  #itemKeys(pageItems) {
+    // Heights follow the row key, so a measured row keeps its height after sorting or paging.
+    if (this.itemKeysCache?.items === pageItems) {
+      return this.itemKeysCache.keys;
+    }
+
+    const keys = pageItems.map((item) =>
+      item.type === "group" ? `group:${item.key}` : `${item.type}:${this.#resolveRowKey(item.row, item.rowIndex)}`
+    );
+    this.itemKeysCache = { items: pageItems, keys };
+    return keys;
+  }
+
+  #measureRenderedRows() {
+    const keys = this.heightIndex.keys;
+    const firstVisible = this.heightIndex.indexAt(this.state.scrollTop);
+    let changed = false;
+    let shiftAbove = 0;
+
+    for (const { itemIndex, element } of this.renderedRows) {
+      const delta = this.heightIndex.measure(keys[itemIndex], element.getBoundingClientRect().height);
+      if (delta === 0) {
+        continue;
+      }
+      changed = true;
+      if (itemIndex < firstVisible) {
+        shiftAbove += delta;
+      }
+    }
+
+    // Rows above the viewport changing height would otherwise push the visible rows around.
+    if (shiftAbove !== 0) {
+      this.state.scrollTop = Math.max(0, this.state.scrollTop + shiftAbove);
+      this.tableWrap.scrollTop = this.state.scrollTop;
+    }
+
+    if (changed) {
+      this.requestRender("measure");
+    }
+  }
+
+  // Row and detail heights of rows that left the client data are dropped; group headers come and go with
+  // grouping and are kept.
+  #pruneRowHeights() {
+    if (this.heightIndex.sizes.size === 0 || this.options.server.enabled) {
+      return;
+    }
+
+    const rowKeys = new Set(this.data.map((row, index) => this.#resolveRowKey(row, index)));
+    this.heightIndex.retain((itemKey) => {
+      const separator = itemKey.indexOf(":");
+      return itemKey.slice(0, separator) === "group" || rowKeys.has(itemKey.slice(separator + 1));
+    });
+  }
+
+  #scrollItemIntoView(itemIndex) {
+    const top = this.heightIndex.offsetOf(itemIndex);
+    const bottom = this.heightIndex.offsetOf(itemIndex + 1);
+    const viewportHeight = Math.max(24, this.options.virtualization.height);
+
+    if (top < this.state.scrollTop) {
+      this.state.scrollTop = top;
+    } else if (bottom > this.state.scrollTop + viewportHeight) {
+      this.state.scrollTop = bottom - viewportHeight;
+    } else {
+      return;
+    }
+    this.tableWrap.scrollTop = this.state.scrollTop;
+  }
+
+  #windowResult(pageItems, startItemIndex, endItemIndex, topPad, bottomPad) {
+    const visibleItems = pageItems.slice(startItemIndex, endItemIndex);
+    const visibleRows = [];
+    let startRowIndex = -1;
+    let endRowIndex = 0;
+
+    for (const item of visibleItems) {
+      if (item.type !== "row") {
+        continue;
+      }
+      if (startRowIndex < 0) {
+        startRowIndex = item.rowIndex;
+      }
+      endRowIndex = item.rowIndex + 1;
+      visibleRows.push(item.row);
+    }
+
+    // Row indexes stay data-row based so footer text and keyboard focus ignore group headers.
+    return {
+      visibleItems,
+      visibleRows,
+      startItemIndex,
+      endItemIndex,
+      startRowIndex: Math.max(0, startRowIndex),
+      endRowIndex,
+      topPad,
+      bottomPad
+    };
+  }
+
+  #renderBody() {
+    const {
+      pageItems,
+      visibleItems,
+      startItemIndex,
+      topPad,
+      bottomPad
+    } = this.renderResult;
+
+    this.renderedRows = [];
+
+    if (pageItems.length === 0) {
+      this.#resetRowViews();
+      const row = document.createElement("tr");
+      const td = document.createElement("td");
+      td.colSpan = this.#bodyColumnSpan();
+      td.className = "bdt__empty";
+      td.textContent = this.options.emptyMessage;
+      row.append(td);
+      replaceChildren(this.body, row);
+      return;
+    }
+
+    const keys = this.#itemKeys(pageItems);
+    const nextViews = new Map();
+    const windowKeys = new Set();
+    const windowItems = visibleItems.map((item, offset) => {
+      // Duplicate row keys would share one element, so later duplicates get a position-based key.
+      let key = keys[startItemIndex + offset];
+      if (windowKeys.has(key)) {
+        key = `${key}#${startItemIndex + offset}`;
+      }
+      windowKeys.add(key);
+      return { item, key, itemIndex: startItemIndex + offset };
+    });
+
+    // Rows that scrolled out are recycled for rows that scrolled in, so fast scrolling reuses elements.
+    const recycled = [];
+    for (const [key, view] of this.rowViews) {
+      if (!windowKeys.has(key) && view.type === "row") {
+        recycled.push(view);
+      }
+    }
+
+    const elements = [];
+    if (topPad > 0) {
+      elements.push(this.#updateSpacerRow("top", topPad));
+    }
+
+    for (const { item, key, itemIndex } of windowItems) {
+      let view;
+      if (item.type === "group") {
+        view = this.#patchGroupView(this.rowViews.get(key), item);
+      } else if (item.type === "detail") {
+        view = this.#patchDetailView(this.rowViews.get(key), item);
+      } else {
+        view = this.#patchRowView(this.rowViews.get(key) || recycled.pop(), item);
+      }
+
+      nextViews.set(key, view);
+      this.renderedRows.push({ itemIndex, element: view.element });
+      elements.push(view.element);
+    }
+
+    if (bottomPad > 0) {
+      elements.push(this.#updateSpacerRow("bottom", bottomPad));
+    }
+
+    this.rowViews = nextViews;
+    this.staleRows.clear();
+    this.#placeChildren(this.body, elements);
+    this.#applyCellTabStops();
+    if (this.activeEdit && !this.activeEdit.td.isConnected) {
+      this.activeEdit = null;
+    }
+
+    if (this.needsDomFocus) {
+      this.needsDomFocus = false;
+      this.#focusCurrentCell();
+    }
+
+    if (this.pendingGroupFocus !== null) {
+      const toggle = [...this.body.querySelectorAll("button[data-bdt-group]")].find(
+        (button) => button.getAttribute("data-bdt-group") === this.pendingGroupFocus
+      );
+      this.pendingGroupFocus = null;
+      toggle?.focus();
+    }
+
+    if (this.pendingCellFocus !== null) {
+      const { row, col } = this.pendingCellFocus;
+      this.pendingCellFocus = null;
+      row.querySelector(`td[data-col-index="${col}"]`)?.focus();
+    }
+  }
+
+  #resetRowViews() {
+    this.rowViews = new Map();
+    this.activeEdit = null;
+    this.spacerRows = {};
+  }
+
+  // Puts rows or cells in order with as few moves as possible. Elements that keep their relative
+  // order are never moved, which preserves focus and text selection inside them.
+  #placeChildren(parent, elements) {
+    const wanted = new Set(elements);
+    for (const child of [...parent.children]) {
+      if (!wanted.has(child)) {
+        child.remove();
+      }
+    }
+
+    let cursor = parent.firstElementChild;
+    for (const element of elements) {
+      if (element === cursor) {
+        cursor = cursor.nextElementSibling;
+        continue;
+      }
+      parent.insertBefore(element, cursor);
+    }
+  }
+
+  #patchRowView(view, item) {
+    const rowData = item.row;
+    const pageRowIndex = item.rowIndex;
+    const rowKey = this.#resolveRowKey(rowData, pageRowIndex);
+    const { columnLayout } = this.renderResult;
+
+    if (!view) {
+      view = { type: "row", element: document.createElement("tr"), cells: new Map(), row: undefined, rowIndex: -1 };
+    }
+
+    const { element } = view;
+    const indexChanged = view.rowIndex !== pageRowIndex;
+    const stale = this.staleRows.has(rowData);
+    if (indexChanged) {
+      element.setAttribute("data-row-index", String(pageRowIndex));
+    }
+    if (element.getAttribute("data-row-key") !== rowKey) {
+      element.setAttribute("data-row-key", rowKey);
+    }
+
+    // Cells outside the column window are dropped; the spacer cells stand in for their width.
+    const rendered = new Set(columnLayout);
+    for (const colIndex of view.cells.keys()) {
+      if (!rendered.has(colIndex)) {
+        view.cells.delete(colIndex);
+      }
+    }
+
+    const children = [];
+    for (const entry of columnLayout) {
+      if (entry === "left-spacer") {
+        view.leftSpacer ||= this.#createColumnSpacer("td");
+        children.push(view.leftSpacer);
+        continue;
+      }
+      if (entry === "right-spacer") {
+        view.rightSpacer ||= this.#createColumnSpacer("td");
+        children.push(view.rightSpacer);
+        continue;
+      }
+
+      const colIndex = entry;
+      const column = this.columns[colIndex];
+      let cell = view.cells.get(colIndex);
+      if (!cell) {
+        cell = { td: this.#createCell(column, colIndex), value: undefined, rendered: false };
+        cell.td.setAttribute("data-row-index", String(pageRowIndex));
+        view.cells.set(colIndex, cell);
+      } else if (indexChanged) {
+        cell.td.setAttribute("data-row-index", String(pageRowIndex));
+      }
+      children.push(cell.td);
+
+      const value = column.getValue(rowData);
+      if (this.hasCellFormatting) {
+        this.#applyFormat(cell.td, cell, this.#cellFormat(column, value, rowData));
+      }
+
+      // An open editor survives renders of its own row; a recycled row drops it without committing.
+      if (cell === this.activeEdit?.cell) {
+        if (view.row === rowData) {
+          continue;
+        }
+        this.#discardEdit();
+      }
+
+      // Unchanged cells are left alone so in-cell widgets and selections survive renders.
+      // A moved row keeps its cells; only the index attributes above follow the new position. Custom renderers
+      // also see the row and its index, so they run again when the row moved or was edited in place.
+      const rendersRow = typeof column.render === "function" && (indexChanged || stale);
+      if (cell.rendered && view.row === rowData && Object.is(cell.value, value) && !rendersRow) {
+        continue;
+      }
+
+      replaceChildren(cell.td);
+      this.#renderCellContent(cell.td, column, value, rowData, pageRowIndex, colIndex);
+      cell.value = value;
+      cell.rendered = true;
+    }
+
+    this.#placeChildren(element, children);
+    if (this.hasRowFormatting) {
+      this.#applyFormat(element, view, this.#rowFormat(rowData, pageRowIndex));
+    }
+    this.#patchDirtyState(view, rowKey);
+    const added = this.changeTracker.added.has(rowKey);
+    if (added !== Boolean(view.added)) {
+      element.classList.toggle("bdt__row--added", added);
+      view.added = added;
+    }
+    if (this.#selectionMode() !== "none") {
+      this.#patchSelection(view, rowKey, rowData);
+    }
+    if (this.#hasRowDetail()) {
+      this.#patchDetailToggle(view, rowKey, pageRowIndex);
+    }
+    view.row = rowData;
+    view.rowIndex = pageRowIndex;
+    return view;
+  }
+
+  // The toggle lives in the first column's cell and is put back whenever that cell re-renders.
+  #patchDetailToggle(view, rowKey, pageRowIndex) {
+    const cell = view.cells.get(0);
+    if (!cell) {
+      return;
+    }
+
+    if (!view.detailToggle) {
+      view.detailToggle = document.createElement("button");
+      view.detailToggle.type = "button";
+      view.detailToggle.className = "bdt__detail-toggle";
+      view.detailToggle.setAttribute("aria-label", toText(this.options.rowDetail.label));
+    }
+
+    const toggle = view.detailToggle;
+    const expanded = this.#isRowExpanded(rowKey);
+    if (toggle.getAttribute("data-bdt-detail") !== rowKey) {
+      toggle.setAttribute("data-bdt-detail", rowKey);
+    }
+    if (toggle.getAttribute("aria-expanded") !== String(expanded)) {
+      toggle.setAttribute("aria-expanded", String(expanded));
+      this.#renderIconContent(toggle, expanded ? this.options.icons.detailExpanded : this.options.icons.detailCollapsed, {
+        table: this,
+        row: view.row,
+        expanded
+      });
+    }
+    if (expanded) {
+      toggle.setAttribute("aria-controls", `${this.detailIdPrefix}-${pageRowIndex}`);
+    } else {
+      toggle.removeAttribute("aria-controls");
+    }
+    // The selection checkbox, when there is one, stays in front of the toggle.
+    const anchor = view.selectBox?.parentNode === cell.td ? view.selectBox.nextSibling : cell.td.firstChild;
+    if (anchor !== toggle) {
+      cell.td.insertBefore(toggle, anchor);
+    }
+  }
+
+  // Like the detail toggle, the checkbox lives in the first column's cell.
+  #patchSelection(view, rowKey, rowData) {
+    const selected = this.selectedRows.has(rowKey);
+    if (selected) {
+      // Keeps getSelectedRows() current when a reload or transaction brings a new object for the row.
+      this.selectedRows.set(rowKey, rowData);
+    }
+    if (view.selected !== selected) {
+      view.element.setAttribute("aria-selected", String(selected));
+      view.element.classList.toggle("bdt__row--selected", selected);
+      view.selected = selected;
+    }
+
+    const cell = view.cells.get(0);
+    if (!this.options.selection.checkbox || !cell) {
+      return;
+    }
+
+    if (!view.selectBox) {
+      view.selectBox = document.createElement("input");
+      view.selectBox.type = "checkbox";
+      view.selectBox.className = "bdt__row-select";
+      view.selectBox.setAttribute("aria-label", toText(this.options.selection.label));
+    }
+    if (view.selectBox.getAttribute("data-bdt-select") !== rowKey) {
+      view.selectBox.setAttribute("data-bdt-select", rowKey);
+    }
+    view.selectBox.checked = selected;
+    if (cell.td.firstChild !== view.selectBox) {
+      cell.td.prepend(view.selectBox);
+    }
+  }
+
+  #patchDetailView(view, item) {
+    const span = this.#bodyColumnSpan();
+    if (!view) {
+      const element = document.createElement("tr");
+      element.className = "bdt__detail-row";
+      const td = document.createElement("td");
+      td.className = "bdt__detail";
+      element.append(td);
+      view = { type: "detail", element, td, row: undefined };
+    }
+
+    view.td.id = `${this.detailIdPrefix}-${item.rowIndex}`;
+    if (view.td.colSpan !== span) {
+      view.td.colSpan = span;
+    }
+
+    // Like cells, the panel only re-renders when the row object is replaced.
+    if (view.row !== item.row) {
+      replaceChildren(view.td);
+      this.#renderDetailContent(view.td, item.row, item.rowIndex);
+      view.row = item.row;
+    }
+    return view;
+  }
+
+  #renderDetailContent(td, rowData, rowIndex) {
+    let rendered;
+    try {
+      rendered = this.options.rowDetail.render(rowData, { rowIndex, table: this });
+    } catch (error) {
+      this.#emit("error", {
+        type: "render",
+        column: null,
+        error
+      });
+      return;
+    }
+
+    this.#applyRenderedContent(td, rendered, { rowData, rowIndex, colIndex: null, column: null });
+  }
+
+  #initFormatting() {
+    const columnsById = new Map(this.options.columns.map((column) => [column.id, column]));
+    this.formatRules = normalizeFormatRules(this.options.conditionalFormatting)
+      .filter((rule) => columnsById.has(rule.column))
+      .map((rule) => ({ ...rule, columnDef: columnsById.get(rule.column) }));
+
+    this.hasCellFormatting =
+      this.formatRules.some((rule) => rule.target === "cell") ||
+      this.options.columns.some((column) => typeof column.cellClass === "function");
+    this.hasRowFormatting =
+      this.formatRules.some((rule) => rule.target === "row") ||
+      typeof this.options.rowClass === "function" ||
+      Boolean(this.options.rowStyle);
+  }
+
+  // Color scales and data bars without an explicit min/max span the values on the current page.
+  #formatDomains() {
+    const { pageRows } = this.renderResult;
+    if (this.formatDomainsCache?.rows === pageRows) {
+      return this.formatDomainsCache.domains;
+    }
+
+    const domains = new Map();
+    for (const rule of this.formatRules) {
+      if (rule.type === "threshold") {
+        continue;
+      }
+
+      let min = Infinity;
+      let max = -Infinity;
+      if (rule.min === undefined || rule.max === undefined) {
+        const { getValue, valueType } = rule.columnDef;
+        for (const row of pageRows) {
+          const number = toFiniteNumber(valueType.parse(getValue(row)));
+          if (number !== null) {
+            min = Math.min(min, number);
+            max = Math.max(max, number);
+          }
+        }
+      }
+      domains.set(rule, {
+        min: rule.min === undefined ? (Number.isFinite(min) ? min : null) : toFiniteNumber(rule.min),
+        max: rule.max === undefined ? (Number.isFinite(max) ? max : null) : toFiniteNumber(rule.max)
+      });
+    }
+    this.formatDomainsCache = { rows: pageRows, domains };
+    return domains;
+  }
+
+  #cellFormat(column, value, rowData) {
+    const format = { classes: [], style: [] };
+    if (typeof column.cellClass === "function") {
+      format.classes.push(...toClassList(column.cellClass(value, rowData)));
+    }
+    for (const rule of this.formatRules) {
+      if (rule.target === "cell" && rule.columnDef === column) {
+        this.#applyRule(rule, value, rowData, format);
+      }
+    }
+    return format;
+  }
+
+  #rowFormat(rowData, rowIndex) {
+    const format = { classes: [], style: [] };
+    if (typeof this.options.rowClass === "function") {
+      format.classes.push(...toClassList(this.options.rowClass(rowData, { rowIndex })));
+    }
+    const { rowStyle } = this.options;
+    format.style.push(...toStyleEntries(typeof rowStyle === "function" ? rowStyle(rowData, { rowIndex }) : rowStyle));
+    for (const rule of this.formatRules) {
+      if (rule.target === "row") {
+        this.#applyRule(rule, rule.columnDef.getValue(rowData), rowData, format);
+      }
+    }
+    return format;
+  }
+
+  #applyRule(rule, value, rowData, format) {
+    const { parse } = rule.columnDef.valueType;
+    if (rule.type === "threshold") {
+      if (thresholdMatches(rule, value, rowData, parse)) {
+        format.classes.push(...toClassList(rule.className));
+        format.style.push(...toStyleEntries(rule.style));
+      }
+      return;
+    }
+
+    const domain = this.#formatDomains().get(rule);
+    const ratio = scaleRatio(parse(value), domain.min, domain.max);
+    if (ratio === null) {
+      return;
+    }
+
+    if (rule.type === "colorScale") {
+      const color = interpolateColor(rule.colors, ratio);
+      if (color) {
+        format.style.push(["background-color", color]);
+      }
+      return;
+    }
+
+    format.classes.push("bdt__cell--bar");
+    format.style.push(["--bdt-bar-size", `${Math.round(ratio * 1000) / 10}%`], ["--bdt-bar-color", toText(rule.color)]);
+  }
+
+  // Only classes and styles added by an earlier format are removed, so static classes stay put.
+  #applyFormat(element, holder, format) {
+    const key = JSON.stringify(format);
+    if (holder.formatKey === key) {
+      return;
+    }
+
+    const previous = holder.format;
+    if (previous) {
+      element.classList.remove(...previous.classes);
+      for (const [name] of previous.style) {
+        element.style.removeProperty(name);
+      }
+    }
+    if (format.classes.length > 0) {
+      element.classList.add(...format.classes);
+    }
+    for (const [name, value] of format.style) {
+      element.style.setProperty(name, value);
+    }
+
+    holder.format = format;
+    holder.formatKey = key;
+  }
+
+  #createCell(column, colIndex) {
+    const td = document.createElement("td");
+    td.className = column.className || "";
+    if (column.wrap === true) {
+      td.classList.add("bdt__cell--wrap");
+    }
+    if (column.valueType.align) {
+      td.classList.add(`bdt__cell--align-${column.valueType.align}`);
+    }
+    td.setAttribute("data-col-index", String(colIndex));
+    if (this.cellHeaders) {
+      td.setAttribute("headers", this.cellHeaders[colIndex]);
+    }
+    td.tabIndex = -1;
+    this.#applyPinStyle(td, colIndex);
+    if (this.state.columnWidths[column.id] !== undefined) {
+      td.classList.add("bdt__cell--sized");
+      td.style.maxWidth = `var(--bdt-col-${colIndex}-width)`;
+    }
+    return td;
+  }
+
+  #patchGroupView(view, group) {
+    const label = this.#groupLabel(group);
+    const signature = JSON.stringify([group.expanded, group.depth, label, this.#bodyColumnSpan()]);
+    if (view?.signature === signature) {
+      return view;
+    }
+
+    return { type: "group", element: this.#createGroupRow(group, label), signature };
+  }
+
+  #createGroupRow(group, labelText = this.#groupLabel(group)) {
+    const tr = document.createElement("tr");
+    tr.className = "bdt__group-row";
+    tr.setAttribute("data-group-key", group.key);
+    tr.style.setProperty("--bdt-group-depth", String(group.depth));
+
+    const th = document.createElement("th");
+    th.scope = "colgroup";
+    th.colSpan = this.#bodyColumnSpan();
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "bdt__group-toggle";
+    button.setAttribute("data-bdt-group", group.key);
+    button.setAttribute("aria-expanded", String(group.expanded));
+
+    const icon = document.createElement("span");
+    icon.className = "bdt__group-icon";
+    icon.setAttribute("aria-hidden", "true");
+    this.#renderIconContent(
+      icon,
+      group.expanded ? this.options.icons.groupExpanded : this.options.icons.groupCollapsed,
+      { table: this, group }
+    );
+
+    const label = document.createElement("span");
+    label.className = "bdt__group-label";
+    label.textContent = labelText;
+
+    button.append(icon, label);
+    th.append(button);
+    tr.append(th);
+    return tr;
+  }
+
+  #groupLabel(group) {
+    const column = this.options.columns.find((item) => item.id === group.columnId);
+    if (typeof this.options.grouping.header === "function") {
+      return toText(this.options.grouping.header(group, { column, table: this }));
+    }
+
+    const parts = [`${column.header}: ${column.valueType.format(group.value) || "(empty)"} (${group.count})`];
+    for (const [columnId, aggregate] of Object.entries(this.options.grouping.aggregates || {})) {
+      const aggregateColumn = this.options.columns.find((item) => item.id === columnId);
+      const value = group.aggregates[columnId];
+      if (!aggregateColumn || value === null || value === undefined) {
+        continue;
+      }
+
+      const name = typeof aggregate === "string" ? ` ${aggregate}` : "";
+      parts.push(`${aggregateColumn.header}${name}: ${this.#formatAggregate(aggregateColumn, aggregate, value)}`);
+    }
+    return parts.join(" · ");
+  }
+
+  #footerScope() {
+    return this.options.footer.scope === "page" ? "page" : "filtered";
+  }
+
+  // Functions cannot be sent to a worker or a server, so those only run for the "page" scope.
+  #namedFooterAggregates() {
+    return Object.fromEntries(
+      Object.entries(this.footerAggregates).filter(([, aggregate]) => typeof aggregate === "string")
+    );
+  }
+
+  #footerValues() {
+    if (this.#footerScope() === "filtered") {
+      return this.renderResult.aggregates || {};
+    }
+
+    const { pageRows } = this.renderResult;
+    if (this.pageAggregatesCache?.rows !== pageRows) {
+      this.pageAggregatesCache = { rows: pageRows, values: this.queryEngine.aggregate(pageRows, this.footerAggregates) };
+    }
+    return this.pageAggregatesCache.values;
+  }
+
+  #renderFooter() {
+    if (!this.foot) {
+      return;
+    }
+
+    const values = this.#footerValues();
+    const cells = this.renderResult.columnLayout.map((entry) => {
+      const footer = typeof entry === "number" ? this.columns[entry].footer : null;
+      if (!footer) {
+        return [entry, "", ""];
+      }
+      const column = this.columns[entry];
+      const hasAggregate = footer.aggregate !== null && footer.aggregate !== undefined;
+      return [entry, footer.label, hasAggregate ? this.#formatAggregate(column, footer.aggregate, values[column.id]) : ""];
+    });
+
+    // Scroll renders usually leave the totals alone, so skip the DOM when nothing changed.
+    const signature = JSON.stringify(cells);
+    if (signature === this.footerSignature) {
+      return;
+    }
+    this.footerSignature = signature;
+
+    const tr = document.createElement("tr");
+    for (const [entry, label, value] of cells) {
+      if (typeof entry !== "number") {
+        tr.append(this.#createColumnSpacer("td"));
+        continue;
+      }
+
+      const column = this.columns[entry];
+      const td = document.createElement("td");
+      td.className = "bdt__foot-cell";
+      if (column.valueType.align) {
+        td.classList.add(`bdt__cell--align-${column.valueType.align}`);
+      }
+      this.#applyPinStyle(td, entry);
+
+      if (label) {
+        const labelElement = document.createElement("span");
+        labelElement.className = "bdt__foot-label";
+        labelElement.textContent = label;
+        td.append(labelElement);
+      }
+      if (value) {
+        const valueElement = document.createElement("span");
+        valueElement.className = "bdt__foot-value";
+        valueElement.textContent = value;
+        td.append(valueElement);
+      }
+      tr.append(td);
+    }
+    replaceChildren(this.foot, tr);
+  }
+
+  #formatAggregate(column, aggregate, value) {
+    if (aggregate === "count") {
+      return toText(value);
+    }
+    // Untyped columns would otherwise print averages like 24.333333333333332.
+    if (column.valueType.name === "text" && typeof value === "number") {
+      return AGGREGATE_NUMBER_FORMAT.format(value);
+    }
+    return column.valueType.format(value);
+  }
+
+  #facetSelection(columnId) {
+    const filter = this.state.filters.find((item) => item.id === columnId && item.operator === "in");
+    return filter && Array.isArray(filter.value) ? filter.value : [];
+  }
+
+  #toggleFacetValue(columnId, value, checked) {
+    const column = this.options.columns.find((item) => item.id === columnId);
+    const selection = this.#facetSelection(columnId).filter(
+      (item) => !matchesFilter(item, { operator: "equals", value }, { caseSensitive: true, parse: column?.valueType.parse })
+    );
+    if (checked) {
+      selection.push(value);
+    }
+
+    if (selection.length === 0) {
+      this.removeFilter(columnId);
+      return;
+    }
+    this.setFilter(columnId, "in", selection);
+  }
+
+  #renderFacets() {
+    const columnIds = (this.options.facets.columns || []).filter((id) =>
+      this.options.columns.some((column) => column.id === id)
+    );
+    if (columnIds.length === 0 || !this.facetPanel.isConnected) {
+      return;
+    }
+
+    const limit = Math.max(1, Number(this.options.facets.limit) || 10);
+    const focused = this.facetPanel.contains(document.activeElement) ? document.activeElement : null;
+    const focusTarget = focused?.hasAttribute("data-bdt-facet")
+      ? [focused.getAttribute("data-bdt-facet"), focused.getAttribute("data-bdt-facet-index")]
+      : null;
+
+    for (const columnId of columnIds) {
+      const column = this.options.columns.find((item) => item.id === columnId);
+      const selection = this.#facetSelection(columnId);
+      const isSelected = (value) =>
+        selection.length > 0 &&
+        matchesFilter(value, { operator: "in", value: selection }, { caseSensitive: true, parse: column.valueType.parse });
+
+      // Checked values stay listed even when they fall outside the top `limit` counts.
+      const values = this.getFacets(columnId)
+        .map((facet) => ({ ...facet, selected: isSelected(facet.value) }))
+        .filter((facet, index) => index < limit || facet.selected);
+
+      // Scroll renders recompute the same facets, so only touch the DOM when a list changed.
+      const signature = JSON.stringify(values.map((facet) => [toText(facet.value), facet.count, facet.selected]));
+      const view = this.facetViews.get(columnId);
+      if (view?.signature === signature) {
+        continue;
+      }
+
+      const fieldset = this.#createFacetGroup(column, values);
+      if (view) {
+        view.element.replaceWith(fieldset);
+      } else {
+        this.facetPanel.append(fieldset);
+      }
+      this.facetViews.set(columnId, { signature, values, element: fieldset });
+    }
+
+    if (focusTarget && !this.facetPanel.contains(document.activeElement)) {
+      const [columnId, index] = focusTarget;
+      [...this.facetPanel.querySelectorAll("input[data-bdt-facet]")]
+        .find(
+          (input) =>
+            input.getAttribute("data-bdt-facet") === columnId && input.getAttribute("data-bdt-facet-index") === index
+        )
+        ?.focus();
+    }
+  }
+
+  #createFacetGroup(column, values) {
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "bdt__facet";
+    fieldset.setAttribute("data-bdt-facet-col", column.id);
+
+    const legend = document.createElement("legend");
+    legend.className = "bdt__facet-title";
+    legend.textContent = column.header;
+    fieldset.append(legend);
+
+    values.forEach((facet, index) => {
+      const option = document.createElement("label");
+      option.className = "bdt__facet-option";
+
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.checked = facet.selected;
+      input.setAttribute("data-bdt-facet", column.id);
+      input.setAttribute("data-bdt-facet-index", String(index));
+
+      const label = document.createElement("span");
+      label.className = "bdt__facet-label";
+      label.textContent = column.valueType.format(facet.value) || "(empty)";
+
+      const count = document.createElement("span");
+      count.className = "bdt__facet-count";
+      count.textContent = String(facet.count);
+
+      option.append(input, label, count);
+      fieldset.append(option);
+    });
+
+    return fieldset;
+  }
+
+  #resolveRowKey(rowData, rowIndex) {
+    if (typeof this.options.rowKey === "function") {
+      return toText(this.options.rowKey(rowData, rowIndex));
+    }
+
+    if (typeof this.options.rowKey === "string") {
+      return toText(rowData?.[this.options.rowKey]);
+    }
+
+    return toText(rowIndex);
+  }
+
+  #updateSpacerRow(position, height) {
+    if (!this.spacerRows[position]) {
+      const tr = document.createElement("tr");
+      tr.className = "bdt__spacer";
+      tr.setAttribute("aria-hidden", "true");
+      tr.append(document.createElement("td"));
+      this.spacerRows[position] = tr;
+    }
+
+    const tr = this.spacerRows[position];
+    const td = tr.firstElementChild;
+    td.colSpan = this.#bodyColumnSpan();
+    td.style.height = `${height}px`;
+    return tr;
+  }
+
+  #renderCellContent(td, column, value, rowData, rowIndex, colIndex) {
+    if (typeof column.render !== "function") {
+      td.textContent = column.valueType.format(value);
+      return;
+    }
+
+    let rendered;
+    try {
+      rendered = column.render(value, rowData, {
+        rowIndex,
         colIndex,
         column,
         table: this
@@ -794,6 +2984,11 @@ export class BetterDataTable {
       return;
     }
 
+    this.#applyRenderedContent(td, rendered, { rowData, rowIndex, colIndex, column });
+  }
+
+  // Shared by cell renderers and row detail panels; column is null for detail panels.
+  #applyRenderedContent(td, rendered, { rowData, rowIndex, colIndex, column }) {
     if (isDomNode(rendered)) {
       td.append(rendered);
       return;
@@ -811,7 +3006,7 @@ export class BetterDataTable {
           td.textContent = toText(rendered.html);
           this.#emit("error", {
             type: "security",
-            column: column.id,
+            column: column?.id ?? null,
             message: "Unsafe HTML rendering blocked. Enable security.allowUnsafeHtml to allow raw HTML."
           });
           return;
@@ -852,6 +3047,9 @@ export class BetterDataTable {
 
     if (pageRows.length === 0) {
       this.info.textContent = `Showing 0 rows`;
+    } else if (this.#hasGrouping()) {
+      // Grouped pages mix headers and rows, so page offsets do not map to row numbers.
+      this.info.textContent = `Showing ${pageRows.length} of ${filteredCount} rows (${totalCount} total)`;
     } else {
       const safePageSize = Math.max(1, Number(this.state.pageSize) || 1);
       const pageOffset = this.options.pagination.enabled ? page * safePageSize : 0;
@@ -909,7 +3107,9 @@ export class BetterDataTable {
     }
 
     for (const cell of cells) {
-      cell.tabIndex = -1;
+      if (cell.tabIndex !== -1) {
+        cell.tabIndex = -1;
+      }
     }
 
     let target = null;
@@ -946,14 +3146,40 @@ export class BetterDataTable {
 
   #handleGridKeyboard(event) {
     const cell = event.target.closest("td[data-row-index][data-col-index]");
-    if (!cell) {
+    if (!cell || cell === this.activeEdit?.td) {
       return;
     }
 
     const row = Number(cell.dataset.rowIndex);
     const col = Number(cell.dataset.colIndex);
     const lastRow = this.renderResult.pageRows.length - 1;
-    const lastCol = this.options.columns.length - 1;
+    const lastCol = this.columns.length - 1;
+
+    if (event.key === " " && event.target === cell && this.#selectionMode() !== "none") {
+      event.preventDefault();
+      this.#toggleRowSelection(cell.parentElement.getAttribute("data-row-key"), { range: event.shiftKey });
+      return;
+    }
+
+    if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+      const key = event.key.toLowerCase();
+      const undo = key === "z" && !event.shiftKey;
+      if (undo || key === "y" || (key === "z" && event.shiftKey)) {
+        event.preventDefault();
+        if (undo) {
+          this.undo();
+        } else {
+          this.redo();
+        }
+        return;
+      }
+    }
+
+    if (event.shiftKey && this.options.rangeSelection.enabled && event.key.startsWith("Arrow")) {
+      event.preventDefault();
+      this.#extendCellRange(event.key, { row, col });
+      return;
+    }
 
     let nextRow = row;
     let nextCol = col;
@@ -986,20 +3212,613 @@ export class BetterDataTable {
     // Roving tabindex keeps keyboard focus inside one active cell.
     this.lastFocusedCell = { row: nextRow, col: nextCol };
     this.needsDomFocus = true;
+    this.cellRange = null;
+
+    if (this.options.virtualization.enabled) {
+      this.#scrollItemIntoView(this.#itemIndexOfRow(nextRow));
+    }
+    if (this.#usesColumnWindow()) {
+      this.#scrollColumnIntoView(nextCol);
+    }
+
+    this.requestRender("keyboard-nav");
+  }
+
+  #rangePoint(rowIndex, colIndex) {
+    const row = this.renderResult.pageRows[rowIndex];
+    return { key: this.#resolveRowKey(row, rowIndex), columnId: this.columns[colIndex].id };
+  }
+
+  // Page positions of the range corners, or null when a corner is not on this page or its column is hidden.
+  #rangePositions() {
+    if (!this.cellRange) {
+      return null;
+    }
+
+    const pageKeys = this.#pageKeys();
+    const locate = ({ key, columnId }) => ({
+      row: pageKeys.indexOf(key),
+      col: this.columns.findIndex((column) => column.id === columnId)
+    });
+    const anchor = locate(this.cellRange.anchor);
+    const focus = locate(this.cellRange.focus);
+    if (anchor.row < 0 || anchor.col < 0 || focus.row < 0 || focus.col < 0) {
+      return null;
+    }
+
+    return {
+      anchor,
+      focus,
+      top: Math.min(anchor.row, focus.row),
+      bottom: Math.max(anchor.row, focus.row),
+      left: Math.min(anchor.col, focus.col),
+      right: Math.max(anchor.col, focus.col)
+    };
+  }
+
+  // Shift+Arrow moves the far corner; the focused cell stays where it is, like in spreadsheets.
+  // A range that starts somewhere other than the focused cell is dropped and a new one starts from it.
+  #extendCellRange(key, current) {
+    let positions = this.#rangePositions();
+    if (positions && (positions.anchor.row !== current.row || positions.anchor.col !== current.col)) {
+      positions = null;
+    }
+    const anchor = positions?.anchor ?? current;
+    const focus = { ...(positions?.focus ?? current) };
+    const lastRow = this.renderResult.pageRows.length - 1;
+    const lastCol = this.columns.length - 1;
+
+    if (key === "ArrowUp") {
+      focus.row = Math.max(0, focus.row - 1);
+    } else if (key === "ArrowDown") {
+      focus.row = Math.min(lastRow, focus.row + 1);
+    } else if (key === "ArrowLeft") {
+      focus.col = Math.max(0, focus.col - 1);
+    } else if (key === "ArrowRight") {
+      focus.col = Math.min(lastCol, focus.col + 1);
+    }
+
+    this.cellRange = {
+      anchor: this.#rangePoint(anchor.row, anchor.col),
+      focus: this.#rangePoint(focus.row, focus.col)
+    };
+    if (this.options.virtualization.enabled) {
+      this.#scrollItemIntoView(this.#itemIndexOfRow(focus.row));
+    }
+    if (this.#usesColumnWindow()) {
+      this.#scrollColumnIntoView(focus.col);
+    }
+    this.requestRender("range");
+  }
+
+  #startRangeDrag(cell, { extend }) {
+    const point = this.#rangePoint(Number(cell.dataset.rowIndex), Number(cell.dataset.colIndex));
+    this.cellRange = { anchor: extend && this.cellRange ? this.cellRange.anchor : point, focus: point };
+    this.#updateRangeHighlight();
+    this.root.classList.add("bdt-host--range-selecting");
+
+    const onMove = (moveEvent) => {
+      const target = moveEvent.target.closest?.("td[data-row-index][data-col-index]");
+      if (!target || !this.body.contains(target)) {
+        return;
+      }
+      const focus = this.#rangePoint(Number(target.dataset.rowIndex), Number(target.dataset.colIndex));
+      if (focus.key !== this.cellRange.focus.key || focus.columnId !== this.cellRange.focus.columnId) {
+        this.cellRange = { ...this.cellRange, focus };
+        this.#updateRangeHighlight();
+      }
+    };
+    const onUp = () => {
+      this.stopRangeDrag();
+      this.stopRangeDrag = null;
+      this.root.classList.remove("bdt-host--range-selecting");
+    };
+
+    document.addEventListener("pointermove", onMove);
+    document.addEventListener("pointerup", onUp);
+    this.stopRangeDrag = () => {
+      document.removeEventListener("pointermove", onMove);
+      document.removeEventListener("pointerup", onUp);
+    };
+  }
+
+  #updateRangeHighlight() {
+    const positions = this.#rangePositions();
+    if (!positions && !this.rangeHighlighted) {
+      return;
+    }
+
+    this.rangeHighlighted = positions !== null;
+    for (const view of this.rowViews.values()) {
+      if (view.type !== "row") {
+        continue;
+      }
+      const inRows = positions !== null && view.rowIndex >= positions.top && view.rowIndex <= positions.bottom;
+      for (const [colIndex, cell] of view.cells) {
+        const inRange = inRows && colIndex >= positions.left && colIndex <= positions.right;
+        if (inRange === Boolean(cell.inRange)) {
+          continue;
+        }
+        cell.inRange = inRange;
+        cell.td.classList.toggle("bdt__cell--in-range", inRange);
+        if (inRange) {
+          cell.td.setAttribute("aria-selected", "true");
+        } else {
+          cell.td.removeAttribute("aria-selected");
+        }
+      }
+    }
+  }
+
+  // Raw values of the range, or of the focused cell when there is no range.
+  #rangeValues() {
+    const positions = this.#rangePositions();
+    const { pageRows } = this.renderResult;
+    const bounds =
+      positions ??
+      (this.lastFocusedCell && pageRows[this.lastFocusedCell.row] !== undefined
+        ? {
+            top: this.lastFocusedCell.row,
+            bottom: this.lastFocusedCell.row,
+            left: this.lastFocusedCell.col,
+            right: this.lastFocusedCell.col
+          }
+        : null);
+    if (!bounds) {
+      return null;
+    }
+
+    const columns = this.columns.slice(bounds.left, bounds.right + 1);
+    return pageRows.slice(bounds.top, bounds.bottom + 1).map((row) => columns.map((column) => column.getValue(row)));
+  }
+
+  // Pastes from the top-left corner of the range (or the focused cell). A single value fills the whole range.
+  // Every cell goes through the same checks as an inline edit, and the paste undoes in one step.
+  #pasteGrid(grid) {
+    this.#cancelEdit();
+    const positions = this.#rangePositions();
+    const start = positions
+      ? { row: positions.top, col: positions.left }
+      : this.lastFocusedCell && { row: this.lastFocusedCell.row, col: this.lastFocusedCell.col };
+    if (!start) {
+      return;
+    }
+
+    let values = grid;
+    if (positions && grid.length === 1 && grid[0].length === 1) {
+      const height = positions.bottom - positions.top + 1;
+      const width = positions.right - positions.left + 1;
+      values = Array.from({ length: height }, () => Array.from({ length: width }, () => grid[0][0]));
+    }
+
+    const { pageRows } = this.renderResult;
+    const applied = [];
+    const rejected = [];
+    let bottom = start.row;
+    let right = start.col;
+
+    values.forEach((texts, rowOffset) => {
+      const rowIndex = start.row + rowOffset;
+      const row = pageRows[rowIndex];
+      if (row === undefined) {
+        return;
+      }
+
+      const key = this.#resolveRowKey(row, rowIndex);
+      texts.forEach((text, colOffset) => {
+        const column = this.columns[start.col + colOffset];
+        if (!column) {
+          return;
+        }
+        bottom = Math.max(bottom, rowIndex);
+        right = Math.max(right, start.col + colOffset);
+
+        const reject = (message) => rejected.push({ key, columnId: column.id, text, message });
+        if (!this.#isCellEditable(column, row)) {
+          reject("Not editable");
+          return;
+        }
+        const parsed = parseEditorText(column, text);
+        if (!parsed) {
+          reject("Invalid value");
+          return;
+        }
+
+        const oldValue = column.getValue(row);
+        if (Object.is(parsed.value, oldValue)) {
+          return;
+        }
+        const message = this.#validateEdit(column, parsed.value, row);
+        if (message) {
+          reject(message);
+          return;
+        }
+
+        const change = { key, row, columnId: column.id, value: parsed.value, oldValue, source: "paste" };
+        if (this.#emitCancelable("beforeEdit", change)) {
+          this.#applyEdit(column, change, { history: false, sync: false });
+          applied.push([column, change]);
+        }
+      });
+    });
+
+    const changes = applied.map(([, change]) => change);
+    if (changes.length > 0) {
+      this.#pushHistory({ batch: changes });
+      this.#syncEdits(changes);
+      applied.forEach(([column, change]) => this.#finishEdit(column, change));
+    }
+    this.cellRange = { anchor: this.#rangePoint(start.row, start.col), focus: this.#rangePoint(bottom, right) };
+    this.requestRender("range");
+    this.#emit("paste", { changes, rejected });
+  }
+
+  #handleGroupKeyboard(event, key) {
+    // Enter and Space already click the toggle button; arrows follow the tree-view convention.
+    if (event.key !== "ArrowRight" && event.key !== "ArrowLeft") {
+      return;
+    }
+
+    event.preventDefault();
+    this.pendingGroupFocus = key;
+    if (event.key === "ArrowRight") {
+      this.expandGroup(key);
+    } else {
+      this.collapseGroup(key);
+    }
+  }
+
+  #handleEditorKeyboard(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      this.#cancelEdit();
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      this.#commitEdit();
+    } else if (event.key === "Tab") {
+      event.preventDefault();
+      this.#commitEdit({ move: event.shiftKey ? -1 : 1 });
+    }
+  }
+
+  #isCellEditable(column, row) {
+    if (typeof column.setValue !== "function") {
+      return false;
+    }
+    return typeof column.editable === "function" ? Boolean(column.editable(row)) : column.editable === true;
+  }
+
+  #findCellView(td) {
+    const colIndex = Number(td.dataset.colIndex);
+    for (const view of this.rowViews.values()) {
+      const cell = view.type === "row" ? view.cells.get(colIndex) : null;
+      if (cell?.td === td) {
+        return { view, cell, colIndex };
+      }
+    }
+    return null;
+  }
+
+  #openEditor(td) {
+    if (this.activeEdit?.td === td) {
+      return true;
+    }
+    // Moving to another cell commits the current edit first; a failed validation keeps it open.
+    if (this.activeEdit && !this.#commitEdit()) {
+      return false;
+    }
+
+    const found = this.#findCellView(td);
+    const column = found ? this.columns[found.colIndex] : null;
+    if (!column || !this.#isCellEditable(column, found.view.row)) {
+      return false;
+    }
+
+    const { view, cell } = found;
+    const value = column.getValue(view.row);
+    const editor = createEditor(column, value, view.row, {
+      table: this,
+      commit: () => this.#commitEdit(),
+      cancel: () => this.#cancelEdit()
+    });
+
+    this.activeEdit = {
+      td,
+      cell,
+      column,
+      row: view.row,
+      key: view.element.getAttribute("data-row-key"),
+      value,
+      // What the editor returns untouched; typed editors turn "€1.200,50" into 1200.5 before anything is typed.
+      initialValue: editor.getValue(),
+      editor,
+      error: null
+    };
+    this.needsDomFocus = false;
+    td.classList.add("bdt__cell--editing");
+    replaceChildren(td, editor.element);
+    editor.focus();
+    return true;
+  }
+
+  // Returns false when validation rejects the value; the editor then stays open with the message.
+  #commitEdit({ move = 0 } = {}) {
+    const edit = this.activeEdit;
+    if (!edit) {
+      return true;
+    }
+
+    const { column, row } = edit;
+    const value = edit.editor.getValue();
+    // Text inputs always return strings, so "5" for a stored 5 is not a change, and neither is an editor
+    // that still holds the value it opened with.
+    const unchanged =
+      Object.is(value, edit.value) ||
+      Object.is(value, edit.initialValue) ||
+      (typeof value === "string" && value === toText(edit.value));
+    if (unchanged) {
+      this.#closeEditor(move);
+      return true;
+    }
+
+    const message = this.#validateEdit(column, value, row);
+    if (message) {
+      this.#showEditError(edit, message);
+      return false;
+    }
+
+    const change = { key: edit.key, row, columnId: column.id, value, oldValue: edit.value, source: "edit" };
+    this.#closeEditor(move);
+    if (this.#emitCancelable("beforeEdit", change)) {
+      this.#applyEdit(column, change);
+    }
+    return true;
+  }
+
+  #cancelEdit() {
+    if (this.activeEdit) {
+      this.#closeEditor(0);
+    }
+  }
+
+  #validateEdit(column, value, row) {
+    if (typeof column.validate !== "function") {
+      return null;
+    }
+
+    try {
+      const result = column.validate(value, row);
+      if (result === false) {
+        return "Invalid value";
+      }
+      return typeof result === "string" && result.length > 0 ? result : null;
+    } catch (error) {
+      return error?.message || "Invalid value";
+    }
+  }
+
+  #showEditError(edit, message) {
+    if (!edit.error) {
+      edit.error = document.createElement("div");
+      edit.error.className = "bdt__edit-error";
+      edit.error.id = uniqueId("bdt-edit-error");
+      edit.error.setAttribute("role", "alert");
+      edit.td.append(edit.error);
+    }
+
+    edit.error.textContent = message;
+    edit.td.classList.add("bdt__cell--invalid");
+    edit.editor.element.setAttribute("aria-invalid", "true");
+    edit.editor.element.setAttribute("aria-describedby", edit.error.id);
+    edit.editor.focus();
+  }
+
+  #closeEditor(move) {
+    const { td } = this.#discardEdit();
+    replaceChildren(td);
+
+    const col = Number(td.dataset.colIndex);
+    const nextCol = clamp(col + move, 0, this.columns.length - 1);
+    // Focus follows the edited row, which may move when the query runs again.
+    this.pendingCellFocus = { row: td.parentElement, col: nextCol };
+    td.focus();
+    if (nextCol !== col && this.#usesColumnWindow()) {
+      this.#scrollColumnIntoView(nextCol);
+    }
+    this.requestRender("edit");
+  }
+
+  // Forgets the editor and marks its cell for a fresh render without touching the row data.
+  #discardEdit() {
+    const edit = this.activeEdit;
+    this.activeEdit = null;
+    edit.td.classList.remove("bdt__cell--editing", "bdt__cell--invalid");
+    edit.cell.rendered = false;
+    return edit;
+  }
+
+  // Undo and redo pass history: false because they move the change between the stacks themselves.
+  // Batches (paste, undo of a paste) pass sync: false, re-run the query once at the end and then call
+  // #finishEdit for each change, so afterEdit listeners see the updated result.
+  #applyEdit(column, change, { history = true, sync = true } = {}) {
+    if (this.#tracksChanges()) {
+      this.changeTracker.recordEdit(change.key, change.columnId, change.oldValue, change.row);
+    }
+    column.setValue(change.row, change.value);
+    this.staleRows.add(change.row);
+    if (history) {
+      this.#pushHistory(change);
+    }
+    if (sync) {
+      this.#syncEdits([change]);
+      this.#finishEdit(column, change);
+    }
+  }
+
+  #finishEdit(column, change) {
+    this.#emit("afterEdit", change);
+    this.#saveEdit(column, change);
+  }
+
+  // Drops a change from the history, including from a pasted batch, so undo and redo do not replay it.
+  #forgetHistory(change) {
+    const forget = (stack) =>
+      stack
+        .map((entry) => (entry.batch ? { batch: entry.batch.filter((item) => item !== change) } : entry))
+        .filter((entry) => entry !== change && entry.batch?.length !== 0);
+    this.undoStack = forget(this.undoStack);
+    this.redoStack = forget(this.redoStack);
+  }
+
+  #saveEdit(column, change) {
+    if (!this.options.server.enabled || typeof this.options.server.save !== "function") {
+      return;
+    }
+
+    // The edit is shown right away; a rejected save restores the old value unless it was edited again since.
+    Promise.resolve()
+      .then(() => this.options.server.save(change, { table: this }))
+      .catch((error) => {
+        if (Object.is(column.getValue(change.row), change.value)) {
+          column.setValue(change.row, change.oldValue);
+          this.staleRows.add(change.row);
+          this.#syncEdits([change]);
+        }
+        this.#forgetHistory(change);
+        this.#emit("error", { type: "save", change, error });
+      });
+  }
+
+  // Without rowKey a key is only a page position, which moves with sorting and paging, so edits are neither
+  // tracked nor kept for undo.
+  #tracksChanges() {
+    return this.options.rowKey !== null && this.options.rowKey !== undefined;
+  }
+
+  // Server rows are only on the current page, so it is checked first.
+  #findRow(key) {
+    const pageRows = this.renderResult?.pageRows || [];
+    const onPage = pageRows.find((row, index) => this.#resolveRowKey(row, index) === key);
+    if (onPage !== undefined) {
+      return onPage;
+    }
+    const index = this.#dataIndexOf(key);
+    return index === undefined ? undefined : this.data[index];
+  }
+
+  #dataIndexByKey() {
+    this.dataIndex ??= new Map(this.data.map((row, index) => [this.#resolveRowKey(row, index), index]));
+    return this.dataIndex;
+  }
+
+  // An edit to the key column leaves the map behind, so a stale entry sends the lookup back to the rows
+  // and the map is rebuilt on next use.
+  #dataIndexOf(key) {
+    const index = this.#dataIndexByKey().get(key);
+    if (index !== undefined && this.#resolveRowKey(this.data[index], index) === key) {
+      return index;
+    }
+    const found = this.data.findIndex((row, position) => this.#resolveRowKey(row, position) === key);
+    if (found === -1) {
+      return undefined;
+    }
+    this.dataIndex = null;
+    return found;
+  }
+
+  // A history entry is one change or { batch: [changes] } for a paste, which undoes in one step.
+  #pushHistory(entry) {
+    if (!this.#tracksChanges()) {
+      return;
+    }
+    this.undoStack = [...this.undoStack, entry].slice(-HISTORY_LIMIT);
+    this.redoStack = [];
+  }
+
+  #applyHistory(entry, source) {
+    const changes = entry.batch ? (source === "undo" ? [...entry.batch].reverse() : entry.batch) : [entry];
+    const applied = [];
+    for (const change of changes) {
+      const column = this.options.columns.find((item) => item.id === change.columnId);
+      const row = this.#findRow(change.key);
+      if (!column || row === undefined) {
+        continue;
+      }
+
+      const value = source === "undo" ? change.oldValue : change.value;
+      const replay = { key: change.key, row, columnId: change.columnId, value, oldValue: column.getValue(row), source };
+      this.#applyEdit(column, replay, { history: false, sync: false });
+      applied.push([column, replay]);
+    }
+
+    if (applied.length === 0) {
+      return false;
+    }
+    this.#syncEdits(applied.map(([, replay]) => replay));
+    applied.forEach(([column, replay]) => this.#finishEdit(column, replay));
+    return true;
+  }
+
+  // Compares each cell of a rendered row with its baseline and toggles the dirty marker.
+  #patchDirtyState(view, rowKey) {
+    const baseline = this.changeTracker.baseline(rowKey);
+    if (!baseline && !view.dirty) {
+      return;
+    }
+
+    view.dirty = false;
+    for (const [colIndex, cell] of view.cells) {
+      const column = this.columns[colIndex];
+      let dirty = false;
+      if (baseline?.cells?.has(column.id)) {
+        dirty = !Object.is(baseline.cells.get(column.id), cell.value);
+      } else if (baseline?.row !== undefined) {
+        dirty = !Object.is(column.getValue(baseline.row), cell.value);
+      }
+      if (dirty !== Boolean(cell.dirty)) {
+        cell.td.classList.toggle("bdt__cell--dirty", dirty);
+        cell.dirty = dirty;
+      }
+      view.dirty ||= dirty;
+    }
+  }
+
+  // Re-runs the query after this.data changed, in place or by a transaction. `change` lists the positions of
+  // updated and removed rows (see QueryEngine#patchRows) so only those are indexed again.
+  #syncRows(reason, change = null) {
+    this.formatDomainsCache = null;
+    this.pageAggregatesCache = null;
 
-    if (this.options.virtualization.enabled) {
-      const rowHeight = Math.max(24, this.options.virtualization.rowHeight);
-      const topVisible = Math.floor(this.state.scrollTop / rowHeight);
-      const rowsVisible = Math.ceil(this.options.virtualization.height / rowHeight);
-      const bottomVisible = topVisible + rowsVisible;
+    if (this.options.server.enabled) {
+      this.requestRender(reason);
+      return;
+    }
 
-      if (nextRow < topVisible || nextRow > bottomVisible) {
-        this.state.scrollTop = nextRow * rowHeight;
-        this.tableWrap.scrollTop = this.state.scrollTop;
-      }
+    if (this.workerEngine) {
+      this.workerEngine.setRows(this.data).catch((error) => {
+        this.#emit("error", { type: "worker", error });
+      });
+      this.reload({ preservePage: true });
+      return;
     }
 
-    this.requestRender("keyboard-nav");
+    if (change) {
+      this.queryEngine.patchRows(this.data, change);
+    } else {
+      this.queryEngine.setRows(this.data);
+    }
+    this.requestRender(reason);
+  }
+
+  // Edited rows are changed in place, so only their positions are passed on to the query engine.
+  #syncEdits(changes) {
+    const updated = [];
+    for (const { key, row } of changes) {
+      const index = this.#tracksChanges() ? this.#dataIndexOf(key) : undefined;
+      updated.push(this.data[index] === row ? index : this.data.indexOf(row));
+    }
+    // A row outside this.data (a server page) has nothing to patch.
+    this.#syncRows("edit", updated.includes(-1) ? null : { updated });
   }
 
   #announce() {
@@ -1021,25 +3840,49 @@ export class BetterDataTable {
     this.#emit("beforeRender", { reason, state: this.getState() });
 
     const baseResult = this.#computeRenderResult();
+    const queryDuration = performance.now() - startTime;
 
     this.state.page = baseResult.page;
     this.#persistState();
 
-    const virtualWindow = this.#computeVirtualWindow(baseResult.pageRows);
+    const pageItems = this.#withDetailItems(baseResult.pageItems);
+    const virtualWindow = this.#computeVirtualWindow(pageItems);
     this.renderResult = {
       ...baseResult,
-      ...virtualWindow
+      pageItems,
+      ...virtualWindow,
+      ...this.#computeColumnWindow()
     };
 
+    if (this.pendingRowFocus !== null) {
+      this.#restoreRowFocus();
+    }
+
     this.#updateSortA11y();
+    this.#updateHeaderWindow();
     this.#renderBody();
+    this.#updateRangeHighlight();
+    this.#updateSelectAll();
+    this.#renderFooter();
+    this.#updatePinOffsets();
+    this.#updateHeaderRowOffsets();
+    if (this.options.virtualization.enabled) {
+      this.#measureRenderedRows();
+    }
     this.#updateControls();
+    this.#renderFacets();
     this.#announce();
 
     const duration = performance.now() - startTime;
     this.#emit("afterRender", {
       reason,
       duration,
+      // engine.cache tells whether the engine reused ("hit"), narrowed ("refined") or rescanned ("miss") rows.
+      timing: {
+        query: queryDuration,
+        dom: duration - queryDuration,
+        engine: baseResult.queryTiming || null
+      },
       rowsRendered: this.renderResult.visibleRows.length,
       totalRows: this.renderResult.filteredCount
     });
@@ -1048,9 +3891,15 @@ export class BetterDataTable {
   #persistState() {
     this.store.save({
       search: this.state.search,
+      filters: this.state.filters,
       sort: this.state.sort,
       page: this.state.page,
       pageSize: this.state.pageSize,
+      collapsedGroups: this.state.collapsedGroups,
+      columnWidths: this.state.columnWidths,
+      columnOrder: this.state.columnOrder,
+      columnVisibility: this.state.columnVisibility,
+      expandedRows: this.state.expandedRows,
       scrollTop: this.state.scrollTop
     });
   }
@@ -1064,16 +3913,70 @@ export class BetterDataTable {
     }
   }
 
-  #shouldQueryServer(reason) {
-    return this.options.server.enabled && ["search", "sort", "page", "page-size", "reload"].includes(reason);
+  // Listeners call payload.preventDefault() to veto the action; returns false when one did.
+  #emitCancelable(eventName, payload) {
+    let prevented = false;
+    this.#emit(eventName, {
+      ...payload,
+      preventDefault: () => {
+        prevented = true;
+      }
+    });
+    return !prevented;
+  }
+
+  #shouldQueryRemote(reason) {
+    // Worker results are grouped before paging, so group toggles need a new worker query too.
+    if (this.workerEngine && reason === "group") {
+      return true;
+    }
+    return this.#usesRemoteRows() && ["search", "filter", "sort", "page", "page-size", "reload"].includes(reason);
   }
 
   #buildServerQuery() {
     return {
       search: this.state.search,
+      // Servers get the parsed structure so they do not need their own query parser.
+      searchQuery: this.options.filtering.syntax === "advanced" ? this.queryEngine.parseSearch(this.state.search) : null,
+      filters: this.state.filters,
       sort: this.state.sort,
       page: this.state.page,
-      pageSize: this.state.pageSize
+      pageSize: this.state.pageSize,
+      // Columns the facets control needs counts for; answer through result.facets.
+      facets: [...(this.options.facets.columns || [])],
+      // Footer totals over the filtered set; answer through result.aggregates.
+      aggregates: this.#footerScope() === "filtered" ? this.#namedFooterAggregates() : {},
+      // Leave these out of the search when options.columnVisibility.searchHidden is false.
+      hiddenColumns: this.options.columns.filter((column) => !this.#isColumnVisible(column)).map((column) => column.id)
+    };
+  }
+
+  #buildWorkerQuery() {
+    const { search, filters, sort, page, pageSize } = this.state;
+    const grouping = this.#hasGrouping()
+      ? {
+          by: this.options.grouping.by,
+          // Custom aggregate functions cannot be sent to a worker; only named aggregates run there.
+          aggregates: Object.fromEntries(
+            Object.entries(this.options.grouping.aggregates || {}).filter(([, aggregate]) => typeof aggregate === "string")
+          )
+        }
+      : null;
+
+    return {
+      search,
+      filters,
+      sort,
+      page,
+      pageSize,
+      pagination: this.options.pagination.enabled,
+      grouping,
+      collapsedGroups: this.state.collapsedGroups,
+      facets: {
+        columns: this.options.facets.columns || [],
+        limit: null
+      },
+      aggregates: this.#footerScope() === "filtered" ? this.#namedFooterAggregates() : null
     };
   }
 
@@ -1094,7 +3997,20 @@ export class BetterDataTable {
 
   setData(rows, { preservePage = true, emitEvent = true } = {}) {
     this.data = Array.isArray(rows) ? rows : [];
-    this.queryEngine.setRows(this.data);
+    this.dataIndex = null;
+    this.#pruneRowHeights();
+    // New data is a new baseline for change tracking and undo.
+    this.changeTracker.clear();
+    this.undoStack = [];
+    this.redoStack = [];
+    this.#syncSelectedRows();
+    if (this.workerEngine) {
+      this.workerEngine.setRows(this.data).catch((error) => {
+        this.#emit("error", { type: "worker", error });
+      });
+    } else {
+      this.queryEngine.setRows(this.data);
+    }
 
     if (!preservePage) {
       this.state.page = 0;
@@ -1109,29 +4025,159 @@ export class BetterDataTable {
       });
     }
 
+    if (this.workerEngine) {
+      this.reload({ preservePage: true });
+      return;
+    }
+
     this.requestRender("set-data");
   }
 
+  addRows(rows) {
+    return this.applyTransaction({ add: rows });
+  }
+
+  updateRows(rows) {
+    return this.applyTransaction({ update: rows });
+  }
+
+  // Takes row objects or row keys.
+  removeRows(rows) {
+    return this.applyTransaction({ remove: rows });
+  }
+
+  // Applies a small delta in place of setData. Rows are matched by rowKey; unknown keys are skipped.
+  // Returns the rows that were actually added, replaced and removed.
+  applyTransaction({ add = [], update = [], remove = [] } = {}) {
+    if (this.options.server.enabled) {
+      throw new Error("BetterDataTable: transactions need client rows; call reload() in server mode");
+    }
+    if (this.options.rowKey === null || this.options.rowKey === undefined) {
+      throw new Error("BetterDataTable: transactions need the rowKey option");
+    }
+
+    const indexByKey = this.#dataIndexByKey();
+    const delta = { added: [], updated: [], removed: [] };
+    const removeKey = (item) =>
+      item !== null && typeof item === "object" ? this.#resolveRowKey(item, -1) : toText(item);
+
+    // Two rows with one key would leave updates, removals and change tracking acting on whichever comes first,
+    // so duplicates are rejected before anything changes. A key removed in the same transaction may be added back.
+    const removeKeys = new Set(remove.map(removeKey));
+    const addKeys = new Set();
+    for (const row of add) {
+      const key = this.#resolveRowKey(row, -1);
+      if (addKeys.has(key) || (indexByKey.has(key) && !removeKeys.has(key))) {
+        throw new Error(`BetterDataTable: a row with key "${key}" already exists`);
+      }
+      addKeys.add(key);
+    }
+
+    // The rows passed to setData stay untouched; replacements go into a copy.
+    const next = update.length > 0 ? this.data.slice() : this.data;
+    const updateIndexes = [];
+    for (const row of update) {
+      // Incoming rows have no position yet, so rowKey functions get -1 as their index.
+      const key = this.#resolveRowKey(row, -1);
+      const index = indexByKey.get(key);
+      if (index !== undefined) {
+        this.changeTracker.recordUpdate(key, next[index], row);
+        next[index] = row;
+        updateIndexes.push(index);
+        delta.updated.push(row);
+      }
+    }
+
+    const removeIndexes = new Set();
+    for (const item of remove) {
+      const key = removeKey(item);
+      const index = indexByKey.get(key);
+      if (index !== undefined && !removeIndexes.has(index)) {
+        removeIndexes.add(index);
+        this.changeTracker.recordRemove(key, next[index], index);
+        delta.removed.push(next[index]);
+      }
+    }
+
+    delta.added = [...add];
+    for (const row of delta.added) {
+      this.changeTracker.recordAdd(this.#resolveRowKey(row, -1), row);
+    }
+    if (delta.added.length === 0 && delta.updated.length === 0 && delta.removed.length === 0) {
+      return delta;
+    }
+
+    this.#rememberRowFocus();
+    const kept = removeIndexes.size > 0 ? next.filter((_, index) => !removeIndexes.has(index)) : next;
+    this.data = delta.added.length > 0 ? [...kept, ...delta.added] : kept;
+    if (removeIndexes.size > 0) {
+      // Every later position shifts, so the map is rebuilt on next use.
+      this.dataIndex = null;
+    } else {
+      delta.added.forEach((row, offset) => {
+        const index = kept.length + offset;
+        indexByKey.set(this.#resolveRowKey(row, index), index);
+      });
+    }
+    if (delta.removed.length > 0) {
+      this.#pruneRowHeights();
+    }
+    this.#syncSelectedRows();
+    this.#syncRows("data-change", { updated: updateIndexes, removed: [...removeIndexes] });
+    this.#emit("dataChange", delta);
+    return delta;
+  }
+
+  // The focused cell follows its row key across a data change instead of staying at the same position.
+  #rememberRowFocus() {
+    const row = this.lastFocusedCell ? this.renderResult?.pageRows?.[this.lastFocusedCell.row] : undefined;
+    if (row === undefined) {
+      return;
+    }
+
+    this.pendingRowFocus = {
+      key: this.#resolveRowKey(row, this.lastFocusedCell.row),
+      hadFocus: this.body.contains(document.activeElement)
+    };
+  }
+
+  #restoreRowFocus() {
+    const { key, hadFocus } = this.pendingRowFocus;
+    this.pendingRowFocus = null;
+
+    const { pageRows } = this.renderResult;
+    const index = pageRows.findIndex((row, rowIndex) => this.#resolveRowKey(row, rowIndex) === key);
+    const lastRow = Math.max(0, pageRows.length - 1);
+    this.lastFocusedCell = {
+      ...this.lastFocusedCell,
+      row: index >= 0 ? index : Math.min(this.lastFocusedCell.row, lastRow)
+    };
+    this.needsDomFocus ||= hadFocus;
+  }
+
   async reload({ preservePage = true } = {}) {
     if (!preservePage) {
       this.state.page = 0;
     }
 
-    if (!this.options.server.enabled) {
+    if (!this.#usesRemoteRows()) {
       this.requestRender("reload");
       return;
     }
 
-    const query = this.#buildServerQuery();
+    const source = this.workerEngine ? "worker" : "server";
+    const query = this.workerEngine ? this.#buildWorkerQuery() : this.#buildServerQuery();
     const token = ++this.requestToken;
 
-    this.#emit("beforeQuery", { query, token });
+    this.#emit("beforeQuery", { query, token, source });
 
     try {
-      const result = await this.options.server.fetch(query, {
-        table: this,
-        state: this.getState()
-      });
+      const result = this.workerEngine
+        ? await this.workerEngine.run(query)
+        : await this.options.server.fetch(query, {
+            table: this,
+            state: this.getState()
+          });
 
       // Only the latest request can update the table.
       if (token !== this.requestToken) {
@@ -1145,12 +4191,19 @@ export class BetterDataTable {
       this.serverSnapshot = {
         rows,
         filteredCount,
-        totalCount
+        totalCount,
+        // Only worker results carry these; server pages are grouped and counted locally.
+        items: source === "worker" ? result.items : null,
+        totalPages: source === "worker" ? result.totalPages : undefined,
+        timing: source === "worker" ? result.timing : null,
+        facets: result?.facets && typeof result.facets === "object" ? result.facets : null,
+        aggregates: result?.aggregates && typeof result.aggregates === "object" ? result.aggregates : null
       };
 
       this.#emit("afterQuery", {
         query,
         token,
+        source,
         result: {
           rows: rows.length,
           filteredCount,
@@ -1177,7 +4230,7 @@ export class BetterDataTable {
     this.#persistState();
     this.#emit("stateChange", { reason: "search", state: this.getState() });
 
-    if (this.#shouldQueryServer("search")) {
+    if (this.#shouldQueryRemote("search")) {
       this.reload({ preservePage: true });
       return;
     }
@@ -1185,6 +4238,36 @@ export class BetterDataTable {
     this.requestRender("search");
   }
 
+  setFilters(filters) {
+    this.state.filters = normalizeFilters(filters);
+    this.state.page = 0;
+    this.state.scrollTop = 0;
+    this.tableWrap.scrollTop = 0;
+    this.#persistState();
+    this.#emit("stateChange", { reason: "filter", state: this.getState() });
+
+    if (this.#shouldQueryRemote("filter")) {
+      this.reload({ preservePage: true });
+      return;
+    }
+
+    this.requestRender("filter");
+  }
+
+  setFilter(columnId, operator, value) {
+    // One condition per column through this helper; use setFilters for compound rules.
+    const others = this.state.filters.filter((filter) => filter.id !== columnId);
+    this.setFilters([...others, { id: columnId, operator, value }]);
+  }
+
+  removeFilter(columnId) {
+    this.setFilters(this.state.filters.filter((filter) => filter.id !== columnId));
+  }
+
+  clearFilters() {
+    this.setFilters([]);
+  }
+
   setPage(page) {
     this.state.page = Math.max(0, Number(page) || 0);
     this.state.scrollTop = 0;
@@ -1192,7 +4275,7 @@ export class BetterDataTable {
     this.#persistState();
     this.#emit("stateChange", { reason: "page", state: this.getState() });
 
-    if (this.#shouldQueryServer("page")) {
+    if (this.#shouldQueryRemote("page")) {
       this.reload({ preservePage: true });
       return;
     }
@@ -1209,7 +4292,7 @@ export class BetterDataTable {
     this.#persistState();
     this.#emit("stateChange", { reason: "page-size", state: this.getState() });
 
-    if (this.#shouldQueryServer("page-size")) {
+    if (this.#shouldQueryRemote("page-size")) {
       this.reload({ preservePage: true });
       return;
     }
@@ -1235,7 +4318,7 @@ export class BetterDataTable {
     this.#persistState();
     this.#emit("stateChange", { reason: "sort", state: this.getState() });
 
-    if (this.#shouldQueryServer("sort")) {
+    if (this.#shouldQueryRemote("sort")) {
       this.reload({ preservePage: true });
       return;
     }
@@ -1265,7 +4348,7 @@ export class BetterDataTable {
     this.#persistState();
     this.#emit("stateChange", { reason: "sort", state: this.getState() });
 
-    if (this.#shouldQueryServer("sort")) {
+    if (this.#shouldQueryRemote("sort")) {
       this.reload({ preservePage: true });
       return;
     }
@@ -1273,20 +4356,398 @@ export class BetterDataTable {
     this.requestRender("sort");
   }
 
+  setColumnWidth(columnId, width) {
+    // null restores the width from the column definition.
+    this.#resizeColumn(columnId, width);
+  }
+
+  getColumnWidths() {
+    return { ...this.state.columnWidths };
+  }
+
+  setColumnOrder(columnIds) {
+    const known = new Set(this.options.columns.map((column) => column.id));
+    const order = [...new Set(Array.isArray(columnIds) ? columnIds : [])].filter((id) => known.has(id));
+    // Columns left out of the list keep their current relative order after the listed ones.
+    for (const column of this.#orderedColumns()) {
+      if (!order.includes(column.id)) {
+        order.push(column.id);
+      }
+    }
+
+    this.state.columnOrder = order;
+    this.#persistState();
+    this.#refreshColumns();
+    this.#emit("columnOrderChange", { order: this.getColumnOrder() });
+    this.#emit("stateChange", { reason: "column-order", state: this.getState() });
+  }
+
+  // Includes hidden columns, so the result can be passed back to setColumnOrder unchanged.
+  getColumnOrder() {
+    return this.#orderedColumns().map((column) => column.id);
+  }
+
+  setColumnVisibility(columnId, visible) {
+    const column = this.options.columns.find((item) => item.id === columnId);
+    if (!column || this.#isColumnVisible(column) === Boolean(visible)) {
+      return;
+    }
+    if (!visible && this.columns.length === 1) {
+      return;
+    }
+
+    this.state.columnVisibility = { ...this.state.columnVisibility, [columnId]: Boolean(visible) };
+    this.#persistState();
+    this.#refreshColumns();
+    this.#emit("columnVisibilityChange", { columnId, visible: Boolean(visible) });
+    this.#emit("stateChange", { reason: "column-visibility", state: this.getState() });
+
+    if (this.#syncSearchColumns() && this.state.search !== "") {
+      this.setSearch(this.state.search);
+    }
+  }
+
+  getColumnVisibility() {
+    return Object.fromEntries(this.#orderedColumns().map((column) => [column.id, this.#isColumnVisible(column)]));
+  }
+
+  pinColumn(columnId, side = "left") {
+    const column = this.options.columns.find((item) => item.id === columnId);
+    if (!column) {
+      return;
+    }
+
+    column.pin = side === "left" || side === "right" ? side : null;
+    this.#refreshColumns();
+    this.#emit("columnPin", { columnId, side: column.pin });
+  }
+
+  unpinColumn(columnId) {
+    this.pinColumn(columnId, null);
+  }
+
+  // Scrolls a row of the current page to the top of the body. Virtualized rows are found through the measured
+  // offsets, so the row does not need to be rendered. Returns false when the key is not on the current page.
+  scrollToRow(key) {
+    const rowKey = toText(key);
+    const rowIndex = this.#pageKeys().indexOf(rowKey);
+    if (rowIndex < 0) {
+      return false;
+    }
+
+    if (this.options.virtualization.enabled) {
+      this.state.scrollTop = this.heightIndex.offsetOf(this.#itemIndexOfRow(rowIndex));
+      this.tableWrap.scrollTop = this.state.scrollTop;
+      this.requestRender("scroll");
+      return true;
+    }
+
+    const view = [...this.rowViews.values()].find(
+      (item) => item.type === "row" && item.element.getAttribute("data-row-key") === rowKey
+    );
+    if (view) {
+      this.tableWrap.scrollTop = view.element.getBoundingClientRect().top - this.body.getBoundingClientRect().top;
+    }
+    return true;
+  }
+
+  expandRow(key) {
+    this.#setRowExpanded(key, true);
+  }
+
+  collapseRow(key) {
+    this.#setRowExpanded(key, false);
+  }
+
+  toggleRow(key) {
+    this.#setRowExpanded(key, !this.#isRowExpanded(toText(key)));
+  }
+
+  #setRowExpanded(key, expanded) {
+    const rowKey = toText(key);
+    if (this.#isRowExpanded(rowKey) === expanded) {
+      return;
+    }
+
+    this.state.expandedRows = expanded
+      ? [...this.state.expandedRows, rowKey]
+      : this.state.expandedRows.filter((item) => item !== rowKey);
+    this.#persistState();
+    this.#emit("rowToggle", { key: rowKey, expanded });
+    this.#emit("stateChange", { reason: "row-detail", state: this.getState() });
+    this.requestRender("row-detail");
+  }
+
+  // Opens the editor on a rendered cell. Returns false when the cell is not on screen or not editable.
+  editCell(key, columnId) {
+    const rowKey = toText(key);
+    const colIndex = this.columns.findIndex((column) => column.id === columnId);
+    for (const view of this.rowViews.values()) {
+      if (view.type === "row" && view.element.getAttribute("data-row-key") === rowKey) {
+        const cell = view.cells.get(colIndex);
+        return cell ? this.#openEditor(cell.td) : false;
+      }
+    }
+    return false;
+  }
+
+  commitEdit() {
+    return this.#commitEdit();
+  }
+
+  cancelEdit() {
+    this.#cancelEdit();
+  }
+
+  // Steps back through committed cell edits. Returns false when there is nothing left to undo.
+  undo() {
+    this.#cancelEdit();
+    while (this.undoStack.length > 0) {
+      const entry = this.undoStack.at(-1);
+      this.undoStack = this.undoStack.slice(0, -1);
+      // Edits of rows that were removed since are dropped.
+      if (this.#applyHistory(entry, "undo")) {
+        this.redoStack = [...this.redoStack, entry];
+        return true;
+      }
+    }
+    return false;
+  }
+
+  redo() {
+    this.#cancelEdit();
+    while (this.redoStack.length > 0) {
+      const entry = this.redoStack.at(-1);
+      this.redoStack = this.redoStack.slice(0, -1);
+      if (this.#applyHistory(entry, "redo")) {
+        this.undoStack = [...this.undoStack, entry];
+        return true;
+      }
+    }
+    return false;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // Lists everything that differs from the baseline, by row key. Updated rows carry { oldValue, value } per column.
+  getChanges() {
+    const tracker = this.changeTracker;
+    const updated = [];
+    const keys = new Set([...tracker.replaced.keys(), ...tracker.edited.keys()]);
+
+    for (const key of keys) {
+      if (tracker.removed.has(key)) {
+        continue;
+      }
+
+      const row = this.#findRow(key) ?? tracker.edited.get(key)?.row;
+      const { cells, row: original } = tracker.baseline(key);
+      const changes = {};
+      for (const column of this.options.columns) {
+        const value = column.getValue(row);
+        const oldValue = cells?.has(column.id)
+          ? cells.get(column.id)
+          : original !== undefined
+            ? column.getValue(original)
+            : value;
+        if (!Object.is(oldValue, value)) {
+          changes[column.id] = { oldValue, value };
+        }
+      }
+      if (Object.keys(changes).length > 0) {
+        updated.push({ key, row, changes });
+      }
+    }
+
+    return {
+      added: [...tracker.added].map(([key, row]) => ({ key, row })),
+      updated,
+      removed: [...tracker.removed].map(([key, { row }]) => ({ key, row }))
+    };
+  }
+
+  // Makes the current data the new baseline, for example after the changes were saved.
+  acceptChanges() {
+    this.changeTracker.clear();
+    this.requestRender("changes");
+  }
+
+  // Puts every row and cell back to the baseline. In server mode only cell edits can be reverted,
+  // and each reverted cell goes through server.save like any other edit.
+  revertChanges() {
+    this.#cancelEdit();
+    const tracker = this.changeTracker;
+    if (tracker.isEmpty()) {
+      return;
+    }
+
+    const delta = { added: [], updated: [], removed: [] };
+    if (!this.options.server.enabled) {
+      const data = [];
+      this.data.forEach((row, index) => {
+        const key = this.#resolveRowKey(row, index);
+        if (tracker.added.has(key)) {
+          delta.removed.push(row);
+        } else if (tracker.replaced.has(key)) {
+          data.push(tracker.replaced.get(key));
+          delta.updated.push(tracker.replaced.get(key));
+        } else {
+          data.push(row);
+        }
+      });
+      for (const { row, index } of [...tracker.removed.values()].sort((a, b) => a.index - b.index)) {
+        data.splice(Math.min(index, data.length), 0, row);
+        delta.added.push(row);
+      }
+      this.data = data;
+      this.dataIndex = null;
+      this.#pruneRowHeights();
+    }
+
+    const saves = [];
+    for (const [key, { row: editedRow, cells }] of tracker.edited) {
+      // Client rows are edited in place, so the edited object is the one restored above.
+      // Server pages may have been reloaded since, which gives the row a new object.
+      const row = this.options.server.enabled ? (this.#findRow(key) ?? editedRow) : editedRow;
+      for (const [columnId, original] of cells) {
+        const column = this.options.columns.find((item) => item.id === columnId);
+        const value = column.getValue(row);
+        if (!Object.is(value, original)) {
+          column.setValue(row, original);
+          this.staleRows.add(row);
+          saves.push([column, { key, row, columnId, value: original, oldValue: value, source: "revert" }]);
+        }
+      }
+      if (!delta.updated.includes(row) && !delta.added.includes(row)) {
+        delta.updated.push(row);
+      }
+    }
+
+    tracker.clear();
+    this.undoStack = [];
+    this.redoStack = [];
+    this.#syncSelectedRows();
+    this.#syncRows("revert");
+    for (const [column, change] of saves) {
+      this.#saveEdit(column, change);
+    }
+    this.#emit("dataChange", delta);
+  }
+
+  // The range as { anchor, focus } corners of { key, columnId }, or null.
+  getCellRange() {
+    return this.cellRange ? { anchor: { ...this.cellRange.anchor }, focus: { ...this.cellRange.focus } } : null;
+  }
+
+  setCellRange(anchor, focus = anchor) {
+    this.cellRange = {
+      anchor: { key: toText(anchor.key), columnId: anchor.columnId },
+      focus: { key: toText(focus.key), columnId: focus.columnId }
+    };
+    this.requestRender("range");
+  }
+
+  clearCellRange() {
+    this.cellRange = null;
+    this.requestRender("range");
+  }
+
+  getSelectedRows() {
+    return [...this.selectedRows.values()].filter((row) => row !== undefined);
+  }
+
+  getSelectedKeys() {
+    return [...this.selectedRows.keys()];
+  }
+
+  // Adds rows to the selection by key; in single mode the last key wins.
+  selectRows(keys) {
+    this.#setSelection([...this.selectedRows.keys(), ...keys]);
+  }
+
+  deselectRows(keys) {
+    const removed = new Set([...keys].map(toText));
+    this.#setSelection([...this.selectedRows.keys()].filter((key) => !removed.has(key)));
+  }
+
+  clearSelection() {
+    this.#setSelection([]);
+  }
+
+  toggleGroup(key) {
+    this.#setGroupExpanded(key, this.state.collapsedGroups.includes(toText(key)));
+  }
+
+  expandGroup(key) {
+    this.#setGroupExpanded(key, true);
+  }
+
+  collapseGroup(key) {
+    this.#setGroupExpanded(key, false);
+  }
+
+  expandAllGroups() {
+    this.state.collapsedGroups = [];
+    this.#persistState();
+    this.#emit("stateChange", { reason: "group", state: this.getState() });
+
+    if (this.#shouldQueryRemote("group")) {
+      this.reload({ preservePage: true });
+      return;
+    }
+
+    this.requestRender("group");
+  }
+
+  #setGroupExpanded(key, expanded) {
+    const groupKey = toText(key);
+    const collapsed = this.state.collapsedGroups.filter((item) => item !== groupKey);
+    if (!expanded) {
+      collapsed.push(groupKey);
+    }
+
+    this.state.collapsedGroups = collapsed;
+    this.#persistState();
+    this.#emit("groupToggle", { key: groupKey, expanded });
+    this.#emit("stateChange", { reason: "group", state: this.getState() });
+
+    // Server pages are grouped locally, so only the worker needs a new query here.
+    if (this.#shouldQueryRemote("group")) {
+      this.reload({ preservePage: true });
+      return;
+    }
+
+    this.requestRender("group");
+  }
+
   clearState() {
     this.store.clear();
     this.state = {
       search: "",
+      filters: normalizeFilters(this.options.filtering.initial),
       sort: [...this.options.sorting.initial],
       page: 0,
       pageSize: this.options.pagination.pageSize,
+      collapsedGroups: [],
+      columnWidths: {},
+      columnOrder: [],
+      columnVisibility: {},
+      expandedRows: [],
       scrollTop: 0
     };
 
     this.searchInput.value = "";
+    this.#syncSearchColumns();
+    this.#refreshColumns();
     this.tableWrap.scrollTop = 0;
 
-    if (this.options.server.enabled) {
+    if (this.#usesRemoteRows()) {
       this.reload({ preservePage: true });
       return;
     }
@@ -1297,13 +4758,37 @@ export class BetterDataTable {
   getState() {
     return {
       search: this.state.search,
+      filters: this.state.filters.map((filter) => ({ ...filter })),
       sort: [...this.state.sort],
       page: this.state.page,
       pageSize: this.state.pageSize,
+      collapsedGroups: [...this.state.collapsedGroups],
+      columnWidths: { ...this.state.columnWidths },
+      columnOrder: [...this.state.columnOrder],
+      columnVisibility: { ...this.state.columnVisibility },
+      expandedRows: [...this.state.expandedRows],
       scrollTop: this.state.scrollTop
     };
   }
 
+  getFacets(columnId, { limit = null } = {}) {
+    const safeLimit = Number(limit) > 0 ? Number(limit) : undefined;
+
+    // Remote results only carry facets for the columns listed in options.facets.columns.
+    if (this.#usesRemoteRows()) {
+      const values = this.serverSnapshot.facets?.[columnId];
+      return Array.isArray(values)
+        ? values.slice(0, safeLimit).map((facet) => ({ value: facet.value, count: Number(facet.count) || 0 }))
+        : [];
+    }
+
+    return this.queryEngine.facets(columnId, {
+      search: this.state.search,
+      filters: this.state.filters,
+      limit: safeLimit
+    });
+  }
+
   getRows() {
     return [...this.renderResult.pageRows];
   }
@@ -1360,6 +4845,8 @@ export class BetterDataTable {
       cleanup();
     }
     this.listeners = [];
+    this.stopColumnDrag?.();
+    this.stopRangeDrag?.();
 
     for (const cleanup of this.cellDelegates) {
       cleanup();
@@ -1368,6 +4855,12 @@ export class BetterDataTable {
 
     this.events.clear();
 
+    if (this.workerEngine) {
+      this.workerEngine.destroy();
+      this.workerEngine = null;
+    }
+
+    this.#resetRowViews();
     replaceChildren(this.root);
     this.root.classList.remove("bdt-host");
   }
@@ -0,0 +1,75 @@
+export class ChangeTracker {
+  // Baseline values by row key since the last setData or acceptChanges. Edited cells keep their first
+  // value; replaced and removed rows keep their first row object, so every change can be listed and reverted.
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.added = new Map();
+    this.removed = new Map();
+    this.replaced = new Map();
+    this.edited = new Map();
+  }
+
+  isEmpty() {
+    return this.added.size === 0 && this.removed.size === 0 && this.replaced.size === 0 && this.edited.size === 0;
+  }
+
+  // Added rows have no baseline, and replaced rows are compared with the row they replaced.
+  recordEdit(key, columnId, oldValue, row) {
+    if (this.added.has(key)) {
+      this.added.set(key, row);
+      return;
+    }
+    if (this.replaced.has(key)) {
+      return;
+    }
+
+    let record = this.edited.get(key);
+    if (!record) {
+      record = { row, cells: new Map() };
+      this.edited.set(key, record);
+    }
+    record.row = row;
+    if (!record.cells.has(columnId)) {
+      record.cells.set(columnId, oldValue);
+    }
+  }
+
+  recordAdd(key, row) {
+    // Adding a key that was removed earlier puts the row back as an update of the original.
+    const removed = this.removed.get(key);
+    if (removed) {
+      this.removed.delete(key);
+      this.replaced.set(key, removed.row);
+      return;
+    }
+    this.added.set(key, row);
+  }
+
+  recordUpdate(key, previousRow, row) {
+    if (this.added.has(key)) {
+      this.added.set(key, row);
+      return;
+    }
+    if (!this.replaced.has(key)) {
+      this.replaced.set(key, previousRow);
+    }
+  }
+
+  recordRemove(key, row, index) {
+    if (this.added.delete(key)) {
+      return;
+    }
+    this.removed.set(key, { row: this.replaced.get(key) ?? row, index });
+    this.replaced.delete(key);
+  }
+
+  // What a rendered row is compared against, or null when the row is unchanged or new.
+  baseline(key) {
+    const cells = this.edited.get(key)?.cells;
+    const row = this.replaced.get(key);
+    return cells || row ? { cells, row } : null;
+  }
+}
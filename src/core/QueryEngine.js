@@ -1,137 +1,719 @@
+import { computeAggregate } from "./aggregates.js";
+import { createColumnType } from "./columnTypes.js";
+import { fuzzyScore, fuzzyWords } from "./fuzzy.js";
+import { matchesFilter, normalizeFilters } from "./filters.js";
+import { parseSearchQuery } from "./searchQuery.js";
 import { parseAccessor, toText } from "./utils.js";
 
-// Keep null and undefined at the end for ascending order.
-// This avoids empty values jumping ahead of real data.
-function compareValues(a, b, direction) {
-  if (a === b) {
-    return 0;
+const COLLATOR_DEFAULTS = { sensitivity: "base", numeric: true };
+
+// A shared collator is much faster than localeCompare on large sorts and orders the same way.
+const DEFAULT_COLLATOR = new Intl.Collator(undefined, COLLATOR_DEFAULTS);
+
+const now = () => (typeof performance === "undefined" ? Date.now() : performance.now());
+
+function createCollator(collation) {
+  if (!collation) {
+    return DEFAULT_COLLATOR;
   }
 
-  if (a === null || a === undefined) {
-    return direction === "asc" ? 1 : -1;
+  // nulls is handled by compareValues and is not an Intl.Collator option.
+  const { locale, nulls, ...options } = collation;
+  try {
+    return new Intl.Collator(locale, { ...COLLATOR_DEFAULTS, ...options });
+  } catch {
+    return DEFAULT_COLLATOR;
   }
+}
 
-  if (b === null || b === undefined) {
-    return direction === "asc" ? -1 : 1;
+// Builds the ascending comparator for one column. Priority: column.compare, then the
+// column type, then numbers, then the collator for text.
+function createComparator(column, valueType, collator) {
+  if (typeof column.compare === "function") {
+    return column.compare;
+  }
+  if (valueType.compare) {
+    return valueType.compare;
   }
+  return (a, b) => {
+    if (typeof a === "number" && typeof b === "number") {
+      return a - b;
+    }
+    return collator.compare(toText(a), toText(b));
+  };
+}
 
-  if (typeof a === "number" && typeof b === "number") {
-    return direction === "asc" ? a - b : b - a;
+// Without a nulls option, null and undefined sort as the highest value: last when ascending,
+// first when descending. collation.nulls "first" or "last" pins them regardless of direction.
+function compareValues(a, b, direction, { compare = null, nulls = null } = {}, rowA = undefined, rowB = undefined) {
+  if (a === b) {
+    return 0;
   }
 
-  const aText = toText(a);
-  const bText = toText(b);
-  const result = aText.localeCompare(bText, undefined, {
-    sensitivity: "base",
-    numeric: true
-  });
+  const aEmpty = a === null || a === undefined;
+  const bEmpty = b === null || b === undefined;
+  if (aEmpty || bEmpty) {
+    if (aEmpty && bEmpty) {
+      return 0;
+    }
+    if (nulls === "first") {
+      return aEmpty ? -1 : 1;
+    }
+    if (nulls === "last") {
+      return aEmpty ? 1 : -1;
+    }
+    if (aEmpty) {
+      return direction === "asc" ? 1 : -1;
+    }
+    return direction === "asc" ? -1 : 1;
+  }
 
+  const result = compare ? compare(a, b, rowA, rowB) : DEFAULT_COLLATOR.compare(toText(a), toText(b));
   return direction === "asc" ? result : -result;
 }
 
+// Merges two lists that are each ordered by `compare` into one ordered list.
+function mergeSorted(left, right, compare) {
+  if (right.length === 0) {
+    return left;
+  }
+
+  const merged = new Array(left.length + right.length);
+  let leftIndex = 0;
+  let rightIndex = 0;
+  for (let index = 0; index < merged.length; index += 1) {
+    const takeLeft =
+      rightIndex >= right.length || (leftIndex < left.length && compare(left[leftIndex], right[rightIndex]) <= 0);
+    merged[index] = takeLeft ? left[leftIndex++] : right[rightIndex++];
+  }
+  return merged;
+}
+
 export class QueryEngine {
   // QueryEngine is pure by design: it computes row sets but never touches the DOM.
-  constructor({ columns = [], caseSensitive = false } = {}) {
+  constructor({
+    columns = [],
+    caseSensitive = false,
+    searchSyntax = "plain",
+    mode = "contains",
+    sortByRelevance = false,
+    collation = null
+  } = {}) {
+    // Table-wide collation defaults; column.collation overrides individual keys.
+    this.collation = collation;
     this.caseSensitive = caseSensitive;
-    this.setColumns(columns);
+    this.searchSyntax = searchSyntax;
+    // Fuzzy mode always ignores case and accents; caseSensitive only applies to "contains".
+    this.mode = mode;
+    this.sortByRelevance = sortByRelevance;
     this.rows = [];
+    this.setColumns(columns);
   }
 
   setColumns(columns) {
     this.columns = columns.map((column, index) => {
       const id = column.id || column.accessor || `col_${index}`;
+      const getValue = parseAccessor(column.accessor);
+      // sortValue only changes what is compared; search, filters and display keep using accessor.
+      const getRawSortValue = column.sortValue === undefined ? getValue : parseAccessor(column.sortValue);
+      const valueType = createColumnType(column);
+      const collation = this.collation || column.collation ? { ...this.collation, ...column.collation } : null;
       return {
         ...column,
         id,
-        getValue: parseAccessor(column.accessor),
+        getValue,
+        // Typed columns parse strings from JSON APIs before comparing them.
+        getSortValue:
+          valueType.name === "text" ? getRawSortValue : (row) => valueType.parse(getRawSortValue(row)),
+        parseValue: valueType.name === "text" ? null : valueType.parse,
+        sortOptions: {
+          compare: createComparator(column, valueType, createCollator(collation)),
+          nulls: collation?.nulls ?? null
+        },
         searchable: column.searchable !== false,
         sortable: column.sortable !== false
       };
     });
 
     this.columnById = new Map(this.columns.map((column) => [column.id, column]));
+
+    if (this.rows) {
+      this.invalidate();
+    }
   }
 
   setRows(rows) {
     this.rows = Array.isArray(rows) ? rows : [];
+    this.invalidate();
+  }
+
+  // Applies a change to a few rows without rebuilding everything. `rows` is the new row list, `updated` holds
+  // indexes (in the previous list) of rows that were replaced or edited in place, `removed` holds indexes of rows
+  // that are gone, and rows after the kept ones are new. The search index, sort keys and last result are patched,
+  // so the next query with the same search, filters and sort is still a cache hit.
+  patchRows(rows, { updated = [], removed = [] } = {}) {
+    const nextRows = Array.isArray(rows) ? rows : [];
+    const previousLength = this.rows.length;
+    const removedSet = new Set(removed.filter((index) => index >= 0 && index < previousLength));
+
+    // Previous index -> new index, or -1 for removed rows. Kept rows keep their relative order.
+    let remap = null;
+    if (removedSet.size > 0) {
+      remap = new Int32Array(previousLength);
+      let shift = 0;
+      for (let index = 0; index < previousLength; index += 1) {
+        if (removedSet.has(index)) {
+          remap[index] = -1;
+          shift += 1;
+        } else {
+          remap[index] = index - shift;
+        }
+      }
+    }
+
+    const keptLength = previousLength - removedSet.size;
+    if (nextRows.length < keptLength) {
+      this.setRows(nextRows);
+      return;
+    }
+
+    const changed = new Set();
+    for (const index of updated) {
+      const next = remap ? remap[index] : index;
+      if (next >= 0 && next < keptLength) {
+        changed.add(next);
+      }
+    }
+    for (let index = keptLength; index < nextRows.length; index += 1) {
+      changed.add(index);
+    }
+
+    this.rows = nextRows;
+    const compact = (list) => (remap ? list.filter((_, index) => remap[index] !== -1) : list);
+    const searchableColumns = this.columns.filter((column) => column.searchable);
+    this.searchIndex = compact(this.searchIndex);
+    for (const [columnId, keys] of this.sortKeys) {
+      const column = this.columnById.get(columnId);
+      const nextKeys = compact(keys);
+      for (const index of changed) {
+        nextKeys[index] = column.getSortValue(nextRows[index]);
+      }
+      this.sortKeys.set(columnId, nextKeys);
+    }
+    for (const index of changed) {
+      this.searchIndex[index] = this.#searchText(nextRows[index], searchableColumns);
+    }
+    // Fuzzy word lists are built per row on first use, so dropping them is enough.
+    if (remap) {
+      this.fuzzyIndex = null;
+    } else if (this.fuzzyIndex) {
+      changed.forEach((index) => {
+        this.fuzzyIndex[index] = undefined;
+      });
+    }
+    this.facetCache = new Map();
+    this.facetQueryKey = null;
+
+    const last = this.lastResult;
+    if (!last) {
+      return;
+    }
+
+    // Unchanged matches keep their order; changed rows are filtered again and merged in by the last sort.
+    const kept = [];
+    for (const item of last.decorated) {
+      const index = remap ? remap[item.index] : item.index;
+      if (index !== -1 && !changed.has(index)) {
+        kept.push(index === item.index ? item : { ...item, index });
+      }
+    }
+    const compare = this.#decoratedComparator(last.sortRules, last.search);
+    const fresh = this.#filterRows(
+      [...changed].map((index) => ({ index })),
+      last.search,
+      last.filters
+    ).sort(compare);
+    const decorated = mergeSorted(kept, fresh, compare);
+
+    // Groups and totals depend on every row, so they are computed again on the next run.
+    this.lastResult = {
+      ...last,
+      decorated,
+      filteredRows: decorated.map((item) => item.row),
+      itemsKey: null,
+      items: null,
+      aggregates: null,
+      aggregateValues: null
+    };
+  }
+
+  // Drops the search index, sort keys and cached results. Call after mutating rows in place.
+  invalidate() {
+    this.searchIndex = null;
+    this.fuzzyIndex = null;
+    this.sortKeys = new Map();
+    this.lastResult = null;
+    this.facetCache = new Map();
+    this.facetQueryKey = null;
+    this.#buildSearchIndex();
+  }
+
+  parseSearch(search) {
+    return parseSearchQuery(search, { columns: this.columns });
   }
 
   run({
     search = "",
+    filters = [],
     sort = [],
     page = 0,
     pageSize = 25,
-    pagination = true
+    pagination = true,
+    grouping = null,
+    collapsedGroups = [],
+    aggregates = null
   } = {}) {
-    const searchableColumns = this.columns.filter((column) => column.searchable);
-    const searchValue = this.caseSensitive ? toText(search) : toText(search).toLowerCase();
+    const startTime = now();
+    const normalizedFilters = normalizeFilters(filters);
+    const sortRules = Array.isArray(sort) ? sort : [];
+    const filterKey = JSON.stringify([toText(search), normalizedFilters]);
+    const sortKey = JSON.stringify(sortRules);
 
-    // Keep the original index so we can preserve stable sort order later.
-    const decorated = [];
-    for (let index = 0; index < this.rows.length; index += 1) {
-      const row = this.rows[index];
+    // Page and page-size changes reuse the last filtered and sorted set untouched.
+    // A longer plain search string refines the previous matches instead of scanning every row.
+    const last = this.lastResult;
+    let cache = "miss";
+    let decorated;
 
-      if (searchValue) {
-        const matches = searchableColumns.some((column) => {
-          const raw = column.getValue(row);
-          const text = this.caseSensitive ? toText(raw) : toText(raw).toLowerCase();
-          return text.includes(searchValue);
-        });
-
-        if (!matches) {
-          continue;
-        }
-      }
+    if (last && last.filterKey === filterKey) {
+      decorated = last.decorated;
+      cache = "hit";
+    } else if (last && this.#canRefine(last, search, normalizedFilters)) {
+      decorated = this.#filterRows(last.decorated, search, normalizedFilters);
+      cache = "refined";
+    } else {
+      decorated = this.#filterRows(null, search, normalizedFilters);
+    }
+    const filterTime = now();
 
-      decorated.push({ row, index });
+    // Refined results keep the previous order, so they only need sorting when the rules changed.
+    const needsSort = cache === "miss" || last.sortKey !== sortKey;
+    if (needsSort) {
+      this.#sortRows(decorated, sortRules, search);
     }
+    const sortTime = now();
 
-    const sortRules = Array.isArray(sort) ? sort : [];
-    if (sortRules.length > 0) {
-      decorated.sort((left, right) => {
-        for (const rule of sortRules) {
-          const column = this.columnById.get(rule.id);
-          if (!column || !column.sortable) {
-            continue;
-          }
-
-          const direction = rule.direction === "desc" ? "desc" : "asc";
-          const result = compareValues(column.getValue(left.row), column.getValue(right.row), direction);
-          if (result !== 0) {
-            return result;
-          }
-        }
+    const sameRows = cache === "hit" && !needsSort;
+    const filteredRows = sameRows ? last.filteredRows : decorated.map((item) => item.row);
+    const filteredCount = filteredRows.length;
 
-        // Stable sort fallback for deterministic UI.
-        return left.index - right.index;
-      });
+    // Grouped output pages over display items, so group headers count toward the page size.
+    const itemsKey = this.#hasGrouping(grouping) ? JSON.stringify([grouping.by, collapsedGroups]) : null;
+    let items = null;
+    if (itemsKey !== null) {
+      items =
+        sameRows && last.itemsKey === itemsKey && last.grouping === grouping
+          ? last.items
+          : this.groupRows(filteredRows, { grouping, sort: sortRules, collapsedGroups }).items;
     }
 
-    const filteredRows = decorated.map((item) => item.row);
-    const filteredCount = filteredRows.length;
+    // Totals over the whole filtered set only change with the filters, not with sorting or paging.
+    let aggregateValues = null;
+    if (aggregates !== null) {
+      aggregateValues =
+        cache === "hit" && last.aggregates === aggregates
+          ? last.aggregateValues
+          : this.aggregate(filteredRows, aggregates);
+    }
+
+    this.lastResult = {
+      filterKey,
+      sortKey,
+      sortRules,
+      search: toText(search),
+      filters: normalizedFilters,
+      decorated,
+      filteredRows,
+      grouping,
+      itemsKey,
+      items,
+      aggregates,
+      aggregateValues
+    };
+
+    const timing = {
+      cache,
+      filter: filterTime - startTime,
+      sort: sortTime - filterTime,
+      total: now() - startTime
+    };
+    const pageSource = items || filteredRows;
 
     if (!pagination) {
       return {
-        rows: filteredRows,
+        rows: items ? this.#rowsOfItems(items) : filteredRows,
+        items,
+        aggregates: aggregateValues,
         filteredCount,
         totalCount: this.rows.length,
         totalPages: filteredCount === 0 ? 0 : 1,
-        page: 0
+        page: 0,
+        timing
       };
     }
 
     const safePageSize = Number(pageSize) > 0 ? Number(pageSize) : 25;
-    const totalPages = filteredCount === 0 ? 0 : Math.ceil(filteredCount / safePageSize);
+    const totalPages = pageSource.length === 0 ? 0 : Math.ceil(pageSource.length / safePageSize);
     const safePage = totalPages === 0 ? 0 : Math.min(Math.max(page, 0), totalPages - 1);
     const start = safePage * safePageSize;
     const end = start + safePageSize;
+    const pageItems = items ? items.slice(start, end) : null;
 
     return {
-      rows: filteredRows.slice(start, end),
+      rows: pageItems ? this.#rowsOfItems(pageItems) : filteredRows.slice(start, end),
+      items: pageItems,
+      aggregates: aggregateValues,
       filteredCount,
       totalCount: this.rows.length,
       totalPages,
-      page: safePage
+      page: safePage,
+      timing
+    };
+  }
+
+  // Distinct values with row counts over the filtered rows, ignoring the column's own filters
+  // so a checkbox list keeps showing the values a user could still add.
+  // Sorted by count, then by the column's sort rules.
+  facets(columnId, { search = "", filters = [], limit = null } = {}) {
+    const column = this.columnById.get(columnId);
+    if (!column) {
+      return [];
+    }
+
+    // Only the current query's counts are kept, one entry per column, so typing a search does not grow the cache.
+    const activeFilters = normalizeFilters(filters);
+    const queryKey = JSON.stringify([toText(search), activeFilters]);
+    if (queryKey !== this.facetQueryKey) {
+      this.facetCache.clear();
+      this.facetQueryKey = queryKey;
+    }
+
+    if (!this.facetCache.has(columnId)) {
+      const otherFilters = activeFilters.filter((filter) => filter.id !== columnId);
+      this.facetCache.set(columnId, this.#countValues(column, search, otherFilters));
+    }
+
+    const values = this.facetCache.get(columnId);
+    const safeLimit = Number(limit) > 0 ? Number(limit) : values.length;
+    return values.slice(0, safeLimit).map((facet) => ({ ...facet }));
+  }
+
+  #countValues(column, search, filters) {
+    // The current result already covers these filters when the column has none of its own.
+    const last = this.lastResult;
+    const decorated =
+      last && last.filterKey === JSON.stringify([toText(search), filters])
+        ? last.decorated
+        : this.#filterRows(null, search, filters);
+
+    const buckets = new Map();
+    for (const { row } of decorated) {
+      const value = column.getValue(row);
+      const text = toText(value);
+      const bucket = buckets.get(text);
+      if (bucket) {
+        bucket.count += 1;
+        continue;
+      }
+      buckets.set(text, { value, count: 1, sortValue: column.getSortValue(row), row });
+    }
+
+    return [...buckets.values()]
+      .sort(
+        (left, right) =>
+          right.count - left.count ||
+          compareValues(left.sortValue, right.sortValue, "asc", column.sortOptions, left.row, right.row)
+      )
+      .map(({ value, count }) => ({ value, count }));
+  }
+
+  #canRefine(last, search, filters) {
+    if (this.mode !== "contains" || this.searchSyntax !== "plain") {
+      return false;
+    }
+
+    const previous = this.#foldText(last.search);
+    const next = this.#foldText(search);
+    return (
+      previous.length > 0 &&
+      next.startsWith(previous) &&
+      JSON.stringify(last.filters) === JSON.stringify(filters)
+    );
+  }
+
+  #filterRows(candidates, search, filters) {
+    const searchableColumns = this.columns.filter((column) => column.searchable);
+    const searchQuery = this.searchSyntax === "advanced" ? this.parseSearch(search) : null;
+    const searchValue = searchQuery ? "" : this.#foldText(search);
+    const queryWords = this.mode === "fuzzy" && searchValue ? fuzzyWords(search) : null;
+    // Column filters are ANDed together and run before the free-text search.
+    const columnFilters = filters
+      .map((filter) => ({ filter, column: this.columnById.get(filter.id) }))
+      .filter((item) => item.column);
+
+    const total = candidates ? candidates.length : this.rows.length;
+    // Keep the original index so we can preserve stable sort order later.
+    const decorated = [];
+    for (let position = 0; position < total; position += 1) {
+      const index = candidates ? candidates[position].index : position;
+      const row = this.rows[index];
+
+      if (columnFilters.length > 0) {
+        const passes = columnFilters.every(({ filter, column }) =>
+          matchesFilter(column.getValue(row), filter, {
+            caseSensitive: this.caseSensitive,
+            parse: column.parseValue
+          })
+        );
+
+        if (!passes) {
+          continue;
+        }
+      }
+
+      let score = 0;
+      if (searchValue) {
+        score = this.#searchScore(index, searchableColumns, searchValue, queryWords);
+        if (score === 0) {
+          continue;
+        }
+      }
+
+      if (searchQuery && !this.#matchesSearchQuery(index, searchableColumns, searchQuery)) {
+        continue;
+      }
+
+      decorated.push({ row, index, score });
+    }
+
+    return decorated;
+  }
+
+  #sortRows(decorated, sortRules, search) {
+    decorated.sort(this.#decoratedComparator(sortRules, search));
+  }
+
+  #decoratedComparator(sortRules, search) {
+    const rules = sortRules
+      .map((rule) => ({
+        column: this.columnById.get(rule.id),
+        direction: rule.direction === "desc" ? "desc" : "asc"
+      }))
+      .filter((rule) => rule.column && rule.column.sortable)
+      .map((rule) => ({ ...rule, keys: this.#sortKeysFor(rule.column) }));
+
+    if (rules.length === 0) {
+      if (this.mode === "fuzzy" && this.sortByRelevance && toText(search).trim() !== "") {
+        // Explicit sort rules always win; relevance only orders otherwise unsorted results.
+        return (left, right) => right.score - left.score || left.index - right.index;
+      }
+      return (left, right) => left.index - right.index;
+    }
+
+    return (left, right) => {
+      for (const rule of rules) {
+        const result = compareValues(
+          rule.keys[left.index],
+          rule.keys[right.index],
+          rule.direction,
+          rule.column.sortOptions,
+          left.row,
+          right.row
+        );
+        if (result !== 0) {
+          return result;
+        }
+      }
+
+      // Stable sort fallback for deterministic UI.
+      return left.index - right.index;
     };
   }
+
+  // Sort keys are parsed once per column and reused until rows change.
+  #sortKeysFor(column) {
+    if (!this.sortKeys.has(column.id)) {
+      this.sortKeys.set(
+        column.id,
+        this.rows.map((row) => column.getSortValue(row))
+      );
+    }
+    return this.sortKeys.get(column.id);
+  }
+
+  #buildSearchIndex() {
+    const searchableColumns = this.columns.filter((column) => column.searchable);
+    this.searchIndex = this.rows.map((row) => this.#searchText(row, searchableColumns));
+  }
+
+  // The separator keeps a search from matching across two adjacent columns.
+  #searchText(row, searchableColumns) {
+    return searchableColumns.map((column) => this.#foldText(column.getValue(row))).join("\u0000");
+  }
+
+  // Builds a flat list of group header items and row items from already filtered and sorted rows.
+  // Collapsed groups keep their header but drop their children from the list.
+  groupRows(rows, { grouping, sort = [], collapsedGroups = [] } = {}) {
+    if (!this.#hasGrouping(grouping)) {
+      return { groups: [], items: rows.map((row) => ({ type: "row", row })) };
+    }
+
+    const collapsed = new Set(collapsedGroups);
+    const items = [];
+    const groups = this.#buildGroups(rows, {
+      by: grouping.by.filter((id) => this.columnById.has(id)),
+      aggregates: grouping.aggregates || {},
+      sort,
+      collapsed,
+      depth: 0,
+      parentKey: "",
+      items
+    });
+
+    return { groups, items };
+  }
+
+  #hasGrouping(grouping) {
+    return Boolean(grouping && Array.isArray(grouping.by) && grouping.by.some((id) => this.columnById.has(id)));
+  }
+
+  #rowsOfItems(items) {
+    const rows = [];
+    for (const item of items) {
+      if (item.type === "row") {
+        // rowIndex is page-local and matches the data-row-index used by keyboard navigation.
+        item.rowIndex = rows.length;
+        rows.push(item.row);
+      }
+    }
+    return rows;
+  }
+
+  #buildGroups(rows, context) {
+    const { by, depth, parentKey, items } = context;
+    const column = this.columnById.get(by[depth]);
+
+    const buckets = new Map();
+    for (const row of rows) {
+      const value = column.getValue(row);
+      const text = toText(value);
+      if (!buckets.has(text)) {
+        buckets.set(text, { value, sortValue: column.getSortValue(row), rows: [] });
+      }
+      buckets.get(text).rows.push(row);
+    }
+
+    // Groups follow the sort rule for their column when there is one, otherwise ascending.
+    const rule = context.sort.find((item) => item.id === column.id);
+    const direction = rule?.direction === "desc" ? "desc" : "asc";
+    const ordered = [...buckets.entries()].sort(([, left], [, right]) =>
+      compareValues(left.sortValue, right.sortValue, direction, column.sortOptions, left.rows[0], right.rows[0])
+    );
+
+    const groups = [];
+    for (const [text, bucket] of ordered) {
+      const key = `${parentKey ? `${parentKey}|` : ""}${column.id}=${text}`;
+      const group = {
+        type: "group",
+        key,
+        columnId: column.id,
+        value: bucket.value,
+        depth,
+        count: bucket.rows.length,
+        aggregates: this.aggregate(bucket.rows, context.aggregates),
+        expanded: !context.collapsed.has(key),
+        groups: []
+      };
+
+      groups.push(group);
+      items.push(group);
+
+      if (!group.expanded) {
+        continue;
+      }
+
+      if (depth + 1 < by.length) {
+        group.groups = this.#buildGroups(bucket.rows, { ...context, depth: depth + 1, parentKey: key });
+      } else {
+        for (const row of bucket.rows) {
+          items.push({ type: "row", row });
+        }
+      }
+    }
+
+    return groups;
+  }
+
+  // Maps column ids to aggregate names or functions and returns one value per column.
+  // Values are parsed by the column type first, the same way they are for sorting.
+  aggregate(rows, aggregates) {
+    const result = {};
+    for (const [columnId, aggregate] of Object.entries(aggregates)) {
+      const column = this.columnById.get(columnId);
+      if (!column) {
+        continue;
+      }
+      result[columnId] = computeAggregate(
+        aggregate,
+        rows.map((row) => column.getSortValue(row)),
+        rows
+      );
+    }
+    return result;
+  }
+
+  #foldText(value) {
+    return this.caseSensitive ? toText(value) : toText(value).toLowerCase();
+  }
+
+  #searchScore(index, searchableColumns, needle, queryWords) {
+    if (queryWords) {
+      if (!this.fuzzyIndex) {
+        this.fuzzyIndex = new Array(this.rows.length);
+      }
+      // Word lists are only needed in fuzzy mode, so they are built on first use.
+      this.fuzzyIndex[index] ??= searchableColumns.flatMap((column) => fuzzyWords(column.getValue(this.rows[index])));
+      return fuzzyScore(queryWords, this.fuzzyIndex[index]);
+    }
+
+    return this.searchIndex[index].includes(needle) ? 1 : 0;
+  }
+
+  #matchesSearchQuery(index, searchableColumns, searchQuery) {
+    const row = this.rows[index];
+    if (searchQuery.groups.length === 0) {
+      return true;
+    }
+
+    // Groups are OR-ed, terms inside a group are AND-ed.
+    return searchQuery.groups.some((group) =>
+      group.terms.every((term) => {
+        let matches;
+        if (term.column !== null) {
+          const column = this.columnById.get(term.column);
+          matches = column
+            ? matchesFilter(column.getValue(row), term, {
+                caseSensitive: this.caseSensitive,
+                parse: column.parseValue
+              })
+            : false;
+        } else {
+          const queryWords = this.mode === "fuzzy" ? fuzzyWords(term.value) : null;
+          matches = this.#searchScore(index, searchableColumns, this.#foldText(term.value), queryWords) > 0;
+        }
+
+        return term.negate ? !matches : matches;
+      })
+    );
+  }
 }
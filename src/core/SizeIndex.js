@@ -0,0 +1,99 @@
+export class SizeIndex {
+  // Measured sizes (row heights or column widths) keyed by item key, plus prefix offsets over
+  // the current item list. Unmeasured items use the estimate until they have been rendered once.
+  constructor(estimate) {
+    this.estimate = estimate;
+    this.sizes = new Map();
+    this.keys = [];
+    this.offsets = new Float64Array(1);
+    this.dirty = true;
+  }
+
+  setKeys(keys) {
+    if (keys !== this.keys) {
+      this.keys = keys;
+      this.dirty = true;
+    }
+  }
+
+  sizeOf(key) {
+    return this.sizes.get(key) ?? this.estimate;
+  }
+
+  // Returns how much the item grew or shrank so callers can keep the scroll position anchored.
+  measure(key, size) {
+    // Detached or hidden elements report 0; keep the previous value instead.
+    if (!(size > 0)) {
+      return 0;
+    }
+
+    const previous = this.sizeOf(key);
+    if (Math.abs(previous - size) < 0.5) {
+      return 0;
+    }
+
+    this.sizes.set(key, size);
+    this.dirty = true;
+    return size - previous;
+  }
+
+  clear() {
+    this.sizes.clear();
+    this.dirty = true;
+  }
+
+  // Drops measurements of items that no longer exist, so the map does not grow with every row ever shown.
+  retain(keep) {
+    for (const key of this.sizes.keys()) {
+      if (!keep(key)) {
+        this.sizes.delete(key);
+        this.dirty = true;
+      }
+    }
+  }
+
+  offsetOf(index) {
+    const offsets = this.#ensureOffsets();
+    return offsets[Math.max(0, Math.min(index, this.keys.length))];
+  }
+
+  totalSize() {
+    return this.offsetOf(this.keys.length);
+  }
+
+  // Index of the item that contains the given pixel offset, found by binary search.
+  indexAt(offset) {
+    const offsets = this.#ensureOffsets();
+    const count = this.keys.length;
+    if (count === 0) {
+      return 0;
+    }
+
+    let low = 0;
+    let high = count - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (offsets[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  #ensureOffsets() {
+    if (!this.dirty) {
+      return this.offsets;
+    }
+
+    const offsets = new Float64Array(this.keys.length + 1);
+    for (let index = 0; index < this.keys.length; index += 1) {
+      offsets[index + 1] = offsets[index] + this.sizeOf(this.keys[index]);
+    }
+
+    this.offsets = offsets;
+    this.dirty = false;
+    return offsets;
+  }
+}
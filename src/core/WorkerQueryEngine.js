@@ -0,0 +1,116 @@
+// Keys that only make sense on the main thread or hold functions the worker cannot receive.
+const MAIN_THREAD_KEYS = new Set(["getValue", "valueType", "render", "footer"]);
+
+function createDefaultWorker(url) {
+  return new Worker(url || new URL("./queryWorker.js", import.meta.url), { type: "module" });
+}
+
+// Structured clone rejects functions, so column configs are reduced to plain data.
+// Function accessors are evaluated here once per setRows and shipped as computed values.
+function toPlainColumn(column) {
+  const plain = {};
+  for (const [key, value] of Object.entries(column)) {
+    if (MAIN_THREAD_KEYS.has(key) || typeof value === "function") {
+      continue;
+    }
+    plain[key] = value;
+  }
+
+  plain.computed = typeof column.accessor === "function";
+  plain.computedSortValue = typeof column.sortValue === "function";
+  return plain;
+}
+
+export class WorkerQueryEngine {
+  // Same query shape as QueryEngine, but rows live in a worker and run() resolves asynchronously.
+  constructor({ columns = [], createWorker = null, workerUrl = null, ...engineOptions } = {}) {
+    this.worker = typeof createWorker === "function" ? createWorker() : createDefaultWorker(workerUrl);
+    this.pending = new Map();
+    this.nextId = 0;
+    this.rows = [];
+    this.engineOptions = engineOptions;
+
+    this.worker.onmessage = (event) => this.#handleMessage(event.data);
+    this.worker.onerror = (event) => this.#rejectAll(event?.error || new Error("BetterDataTable: query worker failed"));
+
+    this.setColumns(columns);
+  }
+
+  static isSupported() {
+    return typeof Worker !== "undefined";
+  }
+
+  setColumns(columns) {
+    this.columns = columns;
+    // A failed configure also fails every later run(), which is where callers see the error.
+    this.#post("configure", {
+      options: this.engineOptions,
+      columns: columns.map(toPlainColumn)
+    }).catch(() => {});
+  }
+
+  setRows(rows) {
+    this.rows = Array.isArray(rows) ? rows : [];
+
+    const computed = {};
+    const computedSortValues = {};
+    for (const column of this.columns) {
+      if (typeof column.accessor === "function") {
+        computed[column.id] = this.rows.map((row) => column.accessor(row));
+      }
+      if (typeof column.sortValue === "function") {
+        computedSortValues[column.id] = this.rows.map((row) => column.sortValue(row));
+      }
+    }
+
+    return this.#post("setRows", { rows: this.rows, computed, computedSortValues });
+  }
+
+  async run(query) {
+    // Rows captured here stay valid for this request even if setRows replaces them meanwhile.
+    const rows = this.rows;
+    const result = await this.#post("run", query);
+
+    return {
+      ...result,
+      rows: result.indexes.map((index) => rows[index]),
+      items: result.items
+        ? result.items.map((item) => (item.type === "row" ? { type: "row", row: rows[item.index] } : item))
+        : null
+    };
+  }
+
+  destroy() {
+    this.#rejectAll(new Error("BetterDataTable: query worker was terminated"));
+    this.worker.terminate();
+  }
+
+  #post(type, payload) {
+    const id = ++this.nextId;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, payload });
+    });
+  }
+
+  #handleMessage({ id, result, error }) {
+    const request = this.pending.get(id);
+    if (!request) {
+      return;
+    }
+
+    this.pending.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+      return;
+    }
+    request.resolve(result);
+  }
+
+  #rejectAll(error) {
+    for (const request of this.pending.values()) {
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,64 @@
+import { toText } from "./utils.js";
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+}
+
+function toNumbers(values) {
+  const numbers = [];
+  for (const value of values) {
+    if (isEmpty(value)) {
+      continue;
+    }
+    const number = typeof value === "number" ? value : Number(value);
+    if (Number.isFinite(number)) {
+      numbers.push(number);
+    }
+  }
+  return numbers;
+}
+
+function pickExtreme(values, direction) {
+  let best = null;
+  for (const value of values) {
+    if (isEmpty(value)) {
+      continue;
+    }
+    if (best === null) {
+      best = value;
+      continue;
+    }
+
+    const result =
+      typeof value === "number" && typeof best === "number"
+        ? value - best
+        : toText(value).localeCompare(toText(best), undefined, { numeric: true });
+    if (result * direction > 0) {
+      best = value;
+    }
+  }
+  return best;
+}
+
+// Values passed in are already parsed by the column type, so "1.200,50" arrives as 1200.5.
+const AGGREGATES = {
+  count: (values) => values.length,
+  sum: (values) => toNumbers(values).reduce((total, value) => total + value, 0),
+  avg: (values) => {
+    const numbers = toNumbers(values);
+    return numbers.length === 0 ? null : numbers.reduce((total, value) => total + value, 0) / numbers.length;
+  },
+  min: (values) => pickExtreme(values, -1),
+  max: (values) => pickExtreme(values, 1)
+};
+
+export const AGGREGATE_NAMES = Object.freeze(Object.keys(AGGREGATES));
+
+export function computeAggregate(aggregate, values, rows) {
+  if (typeof aggregate === "function") {
+    return aggregate(values, rows);
+  }
+
+  const compute = AGGREGATES[aggregate];
+  return compute ? compute(values) : undefined;
+}
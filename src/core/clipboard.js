@@ -0,0 +1,59 @@
+import { toText } from "./utils.js";
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+
+// Spreadsheets quote fields that contain tabs, line breaks or quotes, and double the quotes inside.
+function toTsvField(value) {
+  const text = toText(value);
+  return /[\t\n\r"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toTsv(grid) {
+  return grid.map((row) => row.map(toTsvField).join("\t")).join("\n");
+}
+
+export function toHtmlTable(grid) {
+  const escape = (value) => toText(value).replace(/[&<>"]/g, (char) => HTML_ESCAPES[char]);
+  const rows = grid.map((row) => `<tr>${row.map((value) => `<td>${escape(value)}</td>`).join("")}</tr>`);
+  return `<table>${rows.join("")}</table>`;
+}
+
+// Reads what spreadsheets put on the clipboard: tab-separated fields, one row per line, optional quoting.
+// A single trailing line break (Excel adds one) does not make an extra row.
+export function parseTsv(text) {
+  const source = toText(text).replace(/\r\n?/g, "\n").replace(/\n$/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === "\t") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n") {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+  return rows;
+}
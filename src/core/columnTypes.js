@@ -0,0 +1,250 @@
+import { toText } from "./utils.js";
+
+const TRUE_WORDS = new Set(["true", "yes", "y", "1", "on"]);
+const FALSE_WORDS = new Set(["false", "no", "n", "0", "off"]);
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+}
+
+function decimalSeparatorFor(locale) {
+  try {
+    const part = new Intl.NumberFormat(locale).formatToParts(1.5).find((item) => item.type === "decimal");
+    return part ? part.value : ".";
+  } catch {
+    return ".";
+  }
+}
+
+// Accepts "1200.5", "1,200.50", "1.200,50" and "-€ 3 400". When a single separator is
+// ambiguous ("1.200"), an explicit decimalSeparator or locale decides; otherwise "." is decimal.
+export function parseLocaleNumber(value, { decimalSeparator = null } = {}) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (isBlank(value)) {
+    return null;
+  }
+
+  const text = toText(value).trim();
+  const negative = /^\(.*\)$/.test(text) || /^[^\d]*-/.test(text);
+  let digits = text.replace(/[^\d.,]/g, "");
+  if (!/\d/.test(digits)) {
+    return null;
+  }
+
+  const lastComma = digits.lastIndexOf(",");
+  const lastDot = digits.lastIndexOf(".");
+  let decimal = decimalSeparator;
+
+  if (!decimal) {
+    if (lastComma >= 0 && lastDot >= 0) {
+      decimal = lastComma > lastDot ? "," : ".";
+    } else if (lastComma >= 0) {
+      const single = digits.indexOf(",") === lastComma;
+      decimal = single && digits.length - lastComma - 1 !== 3 ? "," : ".";
+    } else {
+      decimal = digits.indexOf(".") === lastDot ? "." : ",";
+    }
+  }
+
+  const thousands = decimal === "," ? "." : ",";
+  digits = digits.split(thousands).join("").replace(decimal, ".");
+
+  const parsed = Number(digits);
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+  return negative ? -parsed : parsed;
+}
+
+function parseTimestamp(value) {
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (isBlank(value)) {
+    return null;
+  }
+
+  const time = Date.parse(toText(value).trim());
+  return Number.isNaN(time) ? null : time;
+}
+
+// Date columns format in UTC, and Date.parse reads only ISO dates ("2024-03-01") as UTC. Other text without a
+// time of day ("03/01/2024", "Mar 1, 2024") is read as local midnight, so it is moved to the same day in UTC.
+export function parseCalendarDate(value) {
+  const time = parseTimestamp(value);
+  if (time === null || typeof value !== "string" || DATE_ONLY.test(value.trim()) || /\d:\d/.test(value)) {
+    return time;
+  }
+  const local = new Date(time);
+  return Date.UTC(local.getFullYear(), local.getMonth(), local.getDate());
+}
+
+function parseBoolean(value) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  if (isBlank(value)) {
+    return null;
+  }
+
+  const word = toText(value).trim().toLowerCase();
+  if (TRUE_WORDS.has(word)) {
+    return true;
+  }
+  if (FALSE_WORDS.has(word)) {
+    return false;
+  }
+  return null;
+}
+
+function naturalCompare(a, b) {
+  if (typeof a === "number" && typeof b === "number") {
+    return a - b;
+  }
+  if (typeof a === "boolean" && typeof b === "boolean") {
+    return Number(a) - Number(b);
+  }
+  return toText(a).localeCompare(toText(b), undefined, { sensitivity: "base", numeric: true });
+}
+
+function safeFormatter(create) {
+  try {
+    return create();
+  } catch {
+    return null;
+  }
+}
+
+function enumEntries(column) {
+  return (column.values || []).map((entry) =>
+    entry && typeof entry === "object"
+      ? { value: toText(entry.value), label: toText(entry.label ?? entry.value) }
+      : { value: toText(entry), label: toText(entry) }
+  );
+}
+
+const TYPE_FACTORIES = {
+  text: () => ({
+    align: null,
+    parse: (value) => value,
+    compare: null,
+    format: (value) => toText(value)
+  }),
+  number: (column) => {
+    const decimalSeparator = column.decimalSeparator || (column.locale ? decimalSeparatorFor(column.locale) : null);
+    const formatter = safeFormatter(() => new Intl.NumberFormat(column.locale, column.formatOptions));
+    return {
+      align: "end",
+      parse: (value) => parseLocaleNumber(value, { decimalSeparator }),
+      compare: naturalCompare,
+      format: (value) => (formatter ? formatter.format(value) : toText(value))
+    };
+  },
+  currency: (column) => {
+    const decimalSeparator = column.decimalSeparator || (column.locale ? decimalSeparatorFor(column.locale) : null);
+    const formatter = safeFormatter(
+      () =>
+        new Intl.NumberFormat(column.locale, {
+          style: "currency",
+          currency: column.currency || "USD",
+          ...column.formatOptions
+        })
+    );
+    return {
+      align: "end",
+      parse: (value) => parseLocaleNumber(value, { decimalSeparator }),
+      compare: naturalCompare,
+      format: (value) => (formatter ? formatter.format(value) : toText(value))
+    };
+  },
+  percent: (column) => {
+    const decimalSeparator = column.decimalSeparator || (column.locale ? decimalSeparatorFor(column.locale) : null);
+    // Values are percentage points: 12.5 and "12.5%" both render as "12.5%".
+    const formatter = safeFormatter(
+      () => new Intl.NumberFormat(column.locale, { maximumFractionDigits: 2, ...column.formatOptions })
+    );
+    return {
+      align: "end",
+      parse: (value) => parseLocaleNumber(value, { decimalSeparator }),
+      compare: naturalCompare,
+      format: (value) => `${formatter ? formatter.format(value) : toText(value)}%`
+    };
+  },
+  date: (column) => {
+    const formatter = safeFormatter(
+      () => new Intl.DateTimeFormat(column.locale, { dateStyle: "medium", timeZone: "UTC", ...column.formatOptions })
+    );
+    return {
+      align: null,
+      parse: parseCalendarDate,
+      compare: naturalCompare,
+      format: (value) => (formatter ? formatter.format(new Date(value)) : new Date(value).toISOString().slice(0, 10))
+    };
+  },
+  datetime: (column) => {
+    const formatter = safeFormatter(
+      () => new Intl.DateTimeFormat(column.locale, { dateStyle: "medium", timeStyle: "short", ...column.formatOptions })
+    );
+    return {
+      align: null,
+      parse: parseTimestamp,
+      compare: naturalCompare,
+      format: (value) => (formatter ? formatter.format(new Date(value)) : new Date(value).toISOString())
+    };
+  },
+  boolean: (column) => {
+    const labels = { true: "Yes", false: "No", ...column.labels };
+    return {
+      align: "center",
+      parse: parseBoolean,
+      compare: naturalCompare,
+      format: (value) => toText(value ? labels.true : labels.false)
+    };
+  },
+  enum: (column) => {
+    // Enum order follows column.values, so "high" can sort before "low".
+    const entries = enumEntries(column);
+    const rankByValue = new Map(entries.map((entry, index) => [entry.value, index]));
+    const labelByValue = new Map(entries.map((entry) => [entry.value, entry.label]));
+    return {
+      align: null,
+      parse: (value) => (isBlank(value) ? null : toText(value)),
+      compare: (a, b) => {
+        const rankA = rankByValue.has(a) ? rankByValue.get(a) : entries.length;
+        const rankB = rankByValue.has(b) ? rankByValue.get(b) : entries.length;
+        return rankA !== rankB ? rankA - rankB : naturalCompare(a, b);
+      },
+      format: (value) => labelByValue.get(value) ?? toText(value)
+    };
+  }
+};
+
+export const COLUMN_TYPES = Object.freeze(Object.keys(TYPE_FACTORIES));
+
+export function createColumnType(column = {}) {
+  const factory = TYPE_FACTORIES[column.type] || TYPE_FACTORIES.text;
+  const type = factory(column);
+  const name = TYPE_FACTORIES[column.type] ? column.type : "text";
+
+  return {
+    name,
+    align: column.align || type.align,
+    parse: type.parse,
+    compare: type.compare,
+    // Unparseable input is shown as-is instead of hiding bad data behind an empty cell.
+    format: (raw) => {
+      if (isBlank(raw)) {
+        return "";
+      }
+      const parsed = type.parse(raw);
+      return parsed === null || parsed === undefined ? toText(raw) : type.format(parsed);
+    }
+  };
+}
@@ -0,0 +1,140 @@
+import { parseCalendarDate } from "./columnTypes.js";
+import { toText } from "./utils.js";
+
+export const EDITOR_TYPES = Object.freeze(["text", "number", "select", "date", "checkbox"]);
+
+const EDITOR_BY_COLUMN_TYPE = {
+  number: "number",
+  currency: "number",
+  percent: "number",
+  date: "date",
+  boolean: "checkbox",
+  enum: "select"
+};
+
+export function editorTypeFor(column) {
+  if (EDITOR_TYPES.includes(column.editor)) {
+    return column.editor;
+  }
+  return EDITOR_BY_COLUMN_TYPE[column.valueType.name] || "text";
+}
+
+// Select options keep their original values, so numeric ids are not turned into strings on commit.
+function selectEntries(column) {
+  return (column.editorOptions || column.values || []).map((entry) =>
+    entry && typeof entry === "object"
+      ? { value: entry.value, label: toText(entry.label ?? entry.value) }
+      : { value: entry, label: toText(entry) }
+  );
+}
+
+// Calendar dates are UTC midnights (see parseCalendarDate), so the UTC date is the day that was given.
+function toDateInputValue(timestamp) {
+  return timestamp === null || timestamp === undefined ? "" : new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function createInput(type, className) {
+  const input = document.createElement("input");
+  input.type = type;
+  input.className = className;
+  return input;
+}
+
+const BUILT_IN_EDITORS = {
+  text: (column, value) => {
+    const input = createInput("text", "bdt__editor");
+    input.value = toText(value);
+    return { element: input, getValue: () => input.value };
+  },
+  number: (column, value) => {
+    const input = createInput("number", "bdt__editor");
+    const parsed = column.valueType.parse(value);
+    input.value = typeof parsed === "number" && Number.isFinite(parsed) ? String(parsed) : "";
+    input.step = "any";
+    return { element: input, getValue: () => (input.value === "" ? null : Number(input.value)) };
+  },
+  date: (column, value) => {
+    const input = createInput("date", "bdt__editor");
+    const parsed = parseCalendarDate(value);
+    input.value = Number.isFinite(parsed) ? toDateInputValue(parsed) : "";
+    return { element: input, getValue: () => input.value || null };
+  },
+  checkbox: (column, value) => {
+    const input = createInput("checkbox", "bdt__editor bdt__editor--checkbox");
+    input.checked = Boolean(column.valueType.parse(value));
+    return { element: input, getValue: () => input.checked };
+  },
+  select: (column, value) => {
+    const select = document.createElement("select");
+    select.className = "bdt__editor";
+    const entries = selectEntries(column);
+    entries.forEach((entry, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = entry.label;
+      option.selected = toText(entry.value) === toText(value);
+      select.append(option);
+    });
+    return { element: select, getValue: () => entries[select.selectedIndex]?.value ?? null };
+  }
+};
+
+const TRUE_WORDS = new Set(["true", "1", "yes", "y", "x"]);
+
+// Turns pasted text into the value the column's editor would commit. Returns null when the text does not fit,
+// such as letters in a number column or a value that is not one of the select options.
+export function parseEditorText(column, text) {
+  const raw = toText(text);
+  const blank = raw.trim() === "";
+
+  switch (typeof column.editor === "function" ? "text" : editorTypeFor(column)) {
+    case "number": {
+      if (blank) {
+        return { value: null };
+      }
+      const number = column.valueType.name === "text" ? Number(raw) : column.valueType.parse(raw);
+      return typeof number === "number" && Number.isFinite(number) ? { value: number } : null;
+    }
+    case "date": {
+      if (blank) {
+        return { value: null };
+      }
+      const timestamp = parseCalendarDate(raw);
+      return Number.isFinite(timestamp) ? { value: toDateInputValue(timestamp) } : null;
+    }
+    case "checkbox":
+      if (column.valueType.name === "boolean") {
+        return { value: Boolean(column.valueType.parse(raw)) };
+      }
+      return { value: TRUE_WORDS.has(raw.trim().toLowerCase()) };
+    case "select": {
+      const entry = selectEntries(column).find((item) => toText(item.value) === raw || item.label === raw);
+      return entry ? { value: entry.value } : null;
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+// A custom editor is a factory returning an element (read through its `value`) or { element, getValue, focus }.
+export function createEditor(column, value, row, context) {
+  const editor =
+    typeof column.editor === "function"
+      ? column.editor({ value, row, column, ...context })
+      : BUILT_IN_EDITORS[editorTypeFor(column)](column, value, row);
+
+  const element = editor?.element || editor;
+  if (!element || typeof element.nodeType !== "number") {
+    throw new Error(`BetterDataTable: editor for column "${column.id}" must return an element`);
+  }
+
+  if (!element.hasAttribute("aria-label")) {
+    element.setAttribute("aria-label", `Edit ${toText(column.header)}`);
+  }
+
+  return {
+    element,
+    getValue: typeof editor.getValue === "function" ? () => editor.getValue() : () => element.value,
+    focus: typeof editor.focus === "function" ? () => editor.focus() : () => element.focus?.()
+  };
+}
@@ -0,0 +1,154 @@
+import { toText } from "./utils.js";
+
+// Operator names are part of the public query shape sent to server.fetch.
+export const FILTER_OPERATORS = Object.freeze([
+  "equals",
+  "notEquals",
+  "contains",
+  "notContains",
+  "startsWith",
+  "endsWith",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "between",
+  "in",
+  "notIn",
+  "isEmpty",
+  "isNotEmpty"
+]);
+
+const OPERATOR_SET = new Set(FILTER_OPERATORS);
+
+function isEmptyValue(value) {
+  if (value === null || value === undefined) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  return toText(value).trim() === "";
+}
+
+// Strings that look like numbers compare numerically so "status = 10" works on JSON text.
+function toNumber(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === "boolean") {
+    return Number(value);
+  }
+  if (typeof value !== "string" || value.trim() === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function foldText(value, caseSensitive) {
+  const text = toText(value);
+  return caseSensitive ? text : text.toLowerCase();
+}
+
+function compareLoose(left, right, caseSensitive) {
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  if (leftNumber !== null && rightNumber !== null) {
+    return leftNumber - rightNumber;
+  }
+
+  return foldText(left, caseSensitive).localeCompare(foldText(right, caseSensitive), undefined, {
+    numeric: true
+  });
+}
+
+function isEqual(left, right, caseSensitive) {
+  if (isEmptyValue(left) || isEmptyValue(right)) {
+    return isEmptyValue(left) && isEmptyValue(right);
+  }
+  return compareLoose(left, right, caseSensitive) === 0;
+}
+
+export function normalizeFilters(filters) {
+  if (!Array.isArray(filters)) {
+    return [];
+  }
+
+  return filters
+    .filter((filter) => filter && typeof filter.id === "string" && OPERATOR_SET.has(filter.operator))
+    .map((filter) => ({
+      id: filter.id,
+      operator: filter.operator,
+      value: filter.value
+    }));
+}
+
+// Text operators look at the raw cell text; equality and range operators compare parsed
+// values when the column has a type, so "2024-03-05" equals a Date for the same day.
+export function matchesFilter(rawValue, filter, { caseSensitive = false, parse = null } = {}) {
+  const typed = (input) => (parse && !isEmptyValue(input) ? parse(input) : input);
+  const rawExpected = filter.value;
+
+  switch (filter.operator) {
+    case "isEmpty":
+      return isEmptyValue(rawValue);
+    case "isNotEmpty":
+      return !isEmptyValue(rawValue);
+    case "contains":
+      return foldText(rawValue, caseSensitive).includes(foldText(rawExpected, caseSensitive));
+    case "notContains":
+      return !foldText(rawValue, caseSensitive).includes(foldText(rawExpected, caseSensitive));
+    case "startsWith":
+      return foldText(rawValue, caseSensitive).startsWith(foldText(rawExpected, caseSensitive));
+    case "endsWith":
+      return foldText(rawValue, caseSensitive).endsWith(foldText(rawExpected, caseSensitive));
+    default:
+      break;
+  }
+
+  const value = typed(rawValue);
+  const expected = Array.isArray(rawExpected) ? rawExpected.map(typed) : typed(rawExpected);
+
+  switch (filter.operator) {
+    case "equals":
+      return isEqual(value, expected, caseSensitive);
+    case "notEquals":
+      return !isEqual(value, expected, caseSensitive);
+    case "in":
+      return Array.isArray(expected) && expected.some((item) => isEqual(value, item, caseSensitive));
+    case "notIn":
+      return !Array.isArray(expected) || !expected.some((item) => isEqual(value, item, caseSensitive));
+    default:
+      break;
+  }
+
+  // Range operators never match empty cells, otherwise "amount > 1000" would keep blanks.
+  if (isEmptyValue(value)) {
+    return false;
+  }
+
+  switch (filter.operator) {
+    case "gt":
+      return compareLoose(value, expected, caseSensitive) > 0;
+    case "gte":
+      return compareLoose(value, expected, caseSensitive) >= 0;
+    case "lt":
+      return compareLoose(value, expected, caseSensitive) < 0;
+    case "lte":
+      return compareLoose(value, expected, caseSensitive) <= 0;
+    case "between": {
+      // Either bound may be null for an open-ended range.
+      const [min, max] = Array.isArray(expected) ? expected : [];
+      if (!isEmptyValue(min) && compareLoose(value, min, caseSensitive) < 0) {
+        return false;
+      }
+      if (!isEmptyValue(max) && compareLoose(value, max, caseSensitive) > 0) {
+        return false;
+      }
+      return true;
+    }
+    default:
+      return true;
+  }
+}
@@ -0,0 +1,75 @@
+import { matchesFilter } from "./filters.js";
+import { clamp, toText } from "./utils.js";
+
+export const FORMAT_RULE_TYPES = Object.freeze(["threshold", "colorScale", "dataBar"]);
+
+const DEFAULT_SCALE = ["#f8696b", "#ffeb84", "#63be7b"];
+const DEFAULT_BAR_COLOR = "rgba(47, 111, 235, 0.25)";
+
+function parseHexColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(toText(color).trim());
+  if (!match) {
+    return null;
+  }
+
+  const hex = match[1].length === 3 ? [...match[1]].map((digit) => digit + digit).join("") : match[1];
+  return [0, 2, 4].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+// Interpolates between evenly spaced hex color stops, so ["#f00", "#ff0", "#0f0"] puts yellow at 0.5.
+export function interpolateColor(colors, ratio) {
+  const stops = colors.map(parseHexColor).filter(Boolean);
+  if (stops.length === 0) {
+    return null;
+  }
+  if (stops.length === 1) {
+    return `rgb(${stops[0].join(", ")})`;
+  }
+
+  const position = clamp(ratio, 0, 1) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const step = position - index;
+  const from = stops[index];
+  const to = stops[index + 1];
+  return `rgb(${from.map((channel, i) => Math.round(channel + (to[i] - channel) * step)).join(", ")})`;
+}
+
+export function toFiniteNumber(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const number = value instanceof Date ? value.getTime() : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Drops rules without a column or with an unknown type; a rule with no type is a threshold.
+export function normalizeFormatRules(rules) {
+  return (Array.isArray(rules) ? rules : [])
+    .map((rule) => ({ ...rule, type: rule?.type ?? "threshold", target: rule?.target === "row" ? "row" : "cell" }))
+    .filter((rule) => typeof rule.column === "string" && FORMAT_RULE_TYPES.includes(rule.type))
+    .map((rule) => {
+      if (rule.type === "colorScale") {
+        return { ...rule, colors: Array.isArray(rule.colors) && rule.colors.length > 0 ? rule.colors : DEFAULT_SCALE };
+      }
+      if (rule.type === "dataBar") {
+        return { ...rule, color: rule.color || DEFAULT_BAR_COLOR };
+      }
+      return rule;
+    });
+}
+
+export function thresholdMatches(rule, value, row, parse) {
+  if (typeof rule.when === "function") {
+    return Boolean(rule.when(value, row));
+  }
+  return matchesFilter(value, { operator: rule.operator || "equals", value: rule.value }, { parse });
+}
+
+// Position of a value inside [min, max] as 0..1, or null when either side is unknown.
+export function scaleRatio(value, min, max) {
+  const number = toFiniteNumber(value);
+  if (number === null || min === null || max === null) {
+    return null;
+  }
+  return max === min ? 1 : clamp((number - min) / (max - min), 0, 1);
+}
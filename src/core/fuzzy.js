@@ -0,0 +1,117 @@
+import { toText } from "./utils.js";
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Folding accents lets "gundogan" find "Gündoğan" without a fuzzy edit.
+export function fuzzyWords(value) {
+  return toText(value)
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .match(WORD_PATTERN) || [];
+}
+
+function maxEditsFor(length) {
+  if (length <= 3) {
+    return 0;
+  }
+  return length <= 6 ? 1 : 2;
+}
+
+// Optimal string alignment distance: Levenshtein plus adjacent transpositions ("pdero").
+// Stops early once every cell in a row exceeds the limit.
+function editDistance(left, right, limit) {
+  if (Math.abs(left.length - right.length) > limit) {
+    return limit + 1;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= left.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= right.length; j += 1) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (
+        previousPrevious &&
+        i > 1 &&
+        j > 1 &&
+        left[i - 1] === right[j - 2] &&
+        left[i - 2] === right[j - 1]
+      ) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[right.length];
+}
+
+function scoreToken(token, words) {
+  const limit = maxEditsFor(token.length);
+  let best = 0;
+
+  for (const word of words) {
+    if (word === token) {
+      return 1;
+    }
+
+    if (word.startsWith(token)) {
+      best = Math.max(best, 0.9);
+      continue;
+    }
+
+    if (word.includes(token)) {
+      best = Math.max(best, 0.75);
+      continue;
+    }
+
+    if (limit === 0) {
+      continue;
+    }
+
+    // Compare with the whole word and with a same-length prefix so half-typed names still match.
+    const distance = Math.min(
+      editDistance(token, word, limit),
+      editDistance(token, word.slice(0, token.length), limit)
+    );
+    if (distance <= limit) {
+      best = Math.max(best, 0.6 * (1 - distance / (token.length + 1)));
+    }
+  }
+
+  return best;
+}
+
+// Returns 0 when any query token has no acceptable match, otherwise the mean token score in (0, 1].
+// Token order is ignored so "yamal lamine" still finds "Lamine Yamal".
+export function fuzzyScore(queryWords, rowWords) {
+  if (queryWords.length === 0) {
+    return 1;
+  }
+
+  let total = 0;
+  for (const token of queryWords) {
+    const score = scoreToken(token, rowWords);
+    if (score === 0) {
+      return 0;
+    }
+    total += score;
+  }
+
+  return total / queryWords.length;
+}
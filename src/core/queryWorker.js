@@ -0,0 +1,112 @@
+import { QueryEngine } from "./QueryEngine.js";
+import { parseAccessor } from "./utils.js";
+
+// Worker rows are wrapped as { index, row } so results can travel back as indexes.
+// The main thread maps indexes to its own row objects, which keeps row identity intact.
+function toWorkerAccessor(accessor, isComputed, values) {
+  if (isComputed) {
+    return (wrapper) => values[wrapper.index];
+  }
+
+  const getValue = parseAccessor(accessor);
+  return (wrapper) => getValue(wrapper.row);
+}
+
+function toWorkerColumns(columns, computed, computedSortValues) {
+  return columns.map((column) => {
+    const workerColumn = {
+      ...column,
+      accessor: toWorkerAccessor(column.accessor, column.computed, computed[column.id] || [])
+    };
+
+    if (column.computedSortValue || column.sortValue !== undefined) {
+      workerColumn.sortValue = toWorkerAccessor(
+        column.sortValue,
+        column.computedSortValue,
+        computedSortValues[column.id] || []
+      );
+    }
+
+    return workerColumn;
+  });
+}
+
+function toTransferableItems(items) {
+  if (!items) {
+    return null;
+  }
+
+  return items.map((item) => {
+    if (item.type === "row") {
+      return { type: "row", index: item.row.index };
+    }
+
+    const { groups, ...group } = item;
+    return group;
+  });
+}
+
+export function createQueryWorkerHandler() {
+  let options = {};
+  let columns = [];
+  let computed = {};
+  let computedSortValues = {};
+  let rows = [];
+  let engine = null;
+
+  const rebuild = () => {
+    engine = new QueryEngine({ ...options, columns: toWorkerColumns(columns, computed, computedSortValues) });
+    engine.setRows(rows);
+  };
+
+  return function handle({ type, payload = {} }) {
+    switch (type) {
+      case "configure":
+        options = payload.options || {};
+        columns = payload.columns || [];
+        rebuild();
+        return null;
+      case "setRows":
+        rows = (payload.rows || []).map((row, index) => ({ index, row }));
+        computed = payload.computed || {};
+        computedSortValues = payload.computedSortValues || {};
+        rebuild();
+        return { totalCount: rows.length };
+      case "run": {
+        const result = engine.run(payload);
+        const { columns: facetColumns = [], limit = null } = payload.facets || {};
+        return {
+          indexes: result.rows.map((wrapper) => wrapper.index),
+          items: toTransferableItems(result.items),
+          aggregates: result.aggregates,
+          filteredCount: result.filteredCount,
+          totalCount: result.totalCount,
+          totalPages: result.totalPages,
+          page: result.page,
+          timing: result.timing,
+          facets: Object.fromEntries(
+            facetColumns.map((columnId) => [
+              columnId,
+              engine.facets(columnId, { search: payload.search, filters: payload.filters, limit })
+            ])
+          )
+        };
+      }
+      default:
+        throw new Error(`BetterDataTable worker: unknown message type "${type}"`);
+    }
+  };
+}
+
+if (typeof WorkerGlobalScope !== "undefined" && globalThis instanceof WorkerGlobalScope) {
+  const handle = createQueryWorkerHandler();
+
+  globalThis.onmessage = (event) => {
+    const { id } = event.data;
+    try {
+      globalThis.postMessage({ id, result: handle(event.data) });
+    } catch (error) {
+      globalThis.postMessage({ id, error: error?.message || String(error) });
+    }
+  };
+}
@@ -0,0 +1,121 @@
+import { toText } from "./utils.js";
+
+const COMPARATORS = [
+  [">=", "gte"],
+  ["<=", "lte"],
+  ["!=", "notEquals"],
+  [">", "gt"],
+  ["<", "lt"],
+  ["=", "equals"]
+];
+
+// Splits on whitespace while keeping quoted phrases together, including `-"a b"` and `col:"a b"`.
+// `literalFrom` is where the first quote opened: text from there on is never read as syntax.
+function tokenize(input) {
+  const tokens = [];
+  let current = "";
+  let quoted = false;
+  let literalFrom = null;
+
+  const push = () => {
+    if (current.length > 0 || literalFrom !== null) {
+      tokens.push({ text: current, quoted: literalFrom !== null, literalFrom: literalFrom ?? current.length });
+    }
+    current = "";
+    literalFrom = null;
+  };
+
+  for (const char of input) {
+    if (char === '"') {
+      quoted = !quoted;
+      literalFrom ??= current.length;
+      continue;
+    }
+
+    if (!quoted && /\s/.test(char)) {
+      push();
+      continue;
+    }
+
+    current += char;
+  }
+
+  push();
+  return tokens;
+}
+
+function resolveColumnId(name, columns) {
+  const needle = name.toLowerCase();
+  const byId = columns.find((column) => toText(column.id).toLowerCase() === needle);
+  if (byId) {
+    return byId.id;
+  }
+
+  const byHeader = columns.find(
+    (column) => typeof column.header === "string" && column.header.toLowerCase().replace(/\s+/g, "") === needle
+  );
+  return byHeader ? byHeader.id : null;
+}
+
+function parseQualifiedValue(text) {
+  for (const [symbol, operator] of COMPARATORS) {
+    if (text.startsWith(symbol)) {
+      return { operator, value: text.slice(symbol.length) };
+    }
+  }
+
+  const range = text.match(/^(.*)\.\.(.*)$/);
+  if (range) {
+    return { operator: "between", value: [range[1] || null, range[2] || null] };
+  }
+
+  return { operator: "contains", value: text };
+}
+
+// A quoted "-foo" or "name:x" is a literal phrase; only a `-` or `column:` before the quotes is syntax.
+function parseTerm(token, columns) {
+  let text = token.text;
+  let literalFrom = token.literalFrom;
+  let negate = false;
+
+  if (text.startsWith("-") && text.length > 1 && literalFrom > 0) {
+    negate = true;
+    text = text.slice(1);
+    literalFrom -= 1;
+  }
+
+  const separator = text.indexOf(":");
+  if (separator > 0 && separator < literalFrom) {
+    const columnId = resolveColumnId(text.slice(0, separator), columns);
+    if (columnId !== null) {
+      const { operator, value } = parseQualifiedValue(text.slice(separator + 1));
+      return { column: columnId, operator, value, negate };
+    }
+  }
+
+  // Unknown qualifiers stay plain text so "10:30" or "http://" keep working.
+  return { column: null, operator: "contains", value: text, negate };
+}
+
+// Parses the global search box syntax into OR-ed groups of AND-ed terms.
+// Supports quoted phrases, `-term` negation, `OR`, `column:value` and `column:>30`.
+export function parseSearchQuery(input, { columns = [] } = {}) {
+  const groups = [[]];
+
+  for (const token of tokenize(toText(input))) {
+    if (!token.quoted && token.text === "OR") {
+      groups.push([]);
+      continue;
+    }
+
+    const term = parseTerm(token, columns);
+    if (term.value === "" && term.column === null) {
+      continue;
+    }
+    groups[groups.length - 1].push(term);
+  }
+
+  return {
+    groups: groups.filter((terms) => terms.length > 0).map((terms) => ({ terms }))
+  };
+}
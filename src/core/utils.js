@@ -54,6 +54,26 @@ export function parseAccessor(accessor) {
   return (row) => row;
 }
 
+// Write counterpart of parseAccessor. Only string paths can be written; missing objects on the way are created.
+export function parseSetter(accessor) {
+  if (typeof accessor !== "string" || accessor.length === 0) {
+    return null;
+  }
+
+  const path = accessor.split(".");
+  const last = path.pop();
+  return (row, value) => {
+    let target = row;
+    for (const key of path) {
+      if (target[key] === null || typeof target[key] !== "object") {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    target[last] = value;
+  };
+}
+
 export function debounce(fn, waitMs) {
   let timer = null;
   return (...args) => {
@@ -1,6 +1,7 @@
 import { BetterDataTable } from "./core/BetterDataTable.js";
+import { parseSearchQuery } from "./core/searchQuery.js";
 
-export { BetterDataTable };
+export { BetterDataTable, parseSearchQuery };
 
 export function createBetterDataTable(target, options) {
   return new BetterDataTable(target, options);
@@ -2,6 +2,8 @@ import test from "node:test";
 import assert from "node:assert/strict";
 
 import { QueryEngine } from "../src/core/QueryEngine.js";
+import { createColumnType } from "../src/core/columnTypes.js";
+import { parseSearchQuery } from "../src/core/searchQuery.js";
 
 function createEngine(rows) {
   const engine = new QueryEngine({
@@ -62,3 +64,363 @@ test("page clamps to last page when value is out of range", () => {
     [3]
   );
 });
+
+test("column filters are combined with AND", () => {
+  const engine = createEngine([
+    { id: 1, name: "open", score: 1500 },
+    { id: 2, name: "open", score: 800 },
+    { id: 3, name: "closed", score: 2000 },
+    { id: 4, name: "Open", score: "1200" }
+  ]);
+
+  const result = engine.run({
+    filters: [
+      { id: "name", operator: "equals", value: "open" },
+      { id: "score", operator: "gt", value: 1000 }
+    ],
+    pagination: false
+  });
+
+  assert.deepEqual(
+    result.rows.map((row) => row.id),
+    [1, 4]
+  );
+});
+
+test("between, in and isEmpty filters", () => {
+  const engine = createEngine([
+    { id: 1, name: "A", score: 5 },
+    { id: 2, name: "B", score: 15 },
+    { id: 3, name: "", score: 25 },
+    { id: 4, name: "D", score: null }
+  ]);
+
+  const between = engine.run({ filters: [{ id: "score", operator: "between", value: [10, 30] }], pagination: false });
+  assert.deepEqual(between.rows.map((row) => row.id), [2, 3]);
+
+  const inList = engine.run({ filters: [{ id: "name", operator: "in", value: ["a", "D"] }], pagination: false });
+  assert.deepEqual(inList.rows.map((row) => row.id), [1, 4]);
+
+  const empty = engine.run({ filters: [{ id: "name", operator: "isEmpty" }], pagination: false });
+  assert.deepEqual(empty.rows.map((row) => row.id), [3]);
+});
+
+test("typed columns parse strings before sorting", () => {
+  const engine = new QueryEngine({
+    columns: [
+      { id: "id", accessor: "id" },
+      { id: "amount", accessor: "amount", type: "currency", locale: "de-DE" },
+      { id: "joined", accessor: "joined", type: "date" },
+      { id: "active", accessor: "active", type: "boolean" }
+    ]
+  });
+  engine.setRows([
+    { id: 1, amount: "€1.200,50", joined: "2024-03-05", active: "yes" },
+    { id: 2, amount: "€95,00", joined: "2023-12-31", active: "false" },
+    { id: 3, amount: "€10.000,00", joined: "2024-01-15", active: true }
+  ]);
+
+  const byAmount = engine.run({ sort: [{ id: "amount", direction: "asc" }], pagination: false });
+  assert.deepEqual(byAmount.rows.map((row) => row.id), [2, 1, 3]);
+
+  const byDate = engine.run({ sort: [{ id: "joined", direction: "desc" }], pagination: false });
+  assert.deepEqual(byDate.rows.map((row) => row.id), [1, 3, 2]);
+
+  const byActive = engine.run({ sort: [{ id: "active", direction: "asc" }], pagination: false });
+  assert.deepEqual(byActive.rows.map((row) => row.id), [2, 1, 3]);
+
+  const expensive = engine.run({ filters: [{ id: "amount", operator: "gt", value: "1.000,00" }], pagination: false });
+  assert.deepEqual(expensive.rows.map((row) => row.id), [1, 3]);
+});
+
+test("date columns read text without a time as that calendar day in UTC+ zones", () => {
+  const previousTz = process.env.TZ;
+  process.env.TZ = "Europe/Rome";
+  try {
+    const { parse, format } = createColumnType({ id: "joined", type: "date", locale: "en-US" });
+    const march1 = Date.UTC(2024, 2, 1);
+    assert.equal(parse("2024-03-01"), march1);
+    assert.equal(parse("03/01/2024"), march1);
+    assert.equal(parse("Mar 1, 2024"), march1);
+    assert.equal(format(parse("03/01/2024")), "Mar 1, 2024");
+    assert.equal(parse("2024-03-01T00:30:00+01:00"), Date.UTC(2024, 1, 29, 23, 30), "times are kept as given");
+  } finally {
+    if (previousTz === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = previousTz;
+    }
+  }
+});
+
+test("enum columns sort by declared order", () => {
+  const engine = new QueryEngine({
+    columns: [{ id: "priority", accessor: "priority", type: "enum", values: ["high", "medium", "low"] }]
+  });
+  engine.setRows([{ priority: "low" }, { priority: "high" }, { priority: "medium" }]);
+
+  const result = engine.run({ sort: [{ id: "priority", direction: "asc" }], pagination: false });
+  assert.deepEqual(result.rows.map((row) => row.priority), ["high", "medium", "low"]);
+});
+
+test("advanced search syntax supports phrases, negation, OR and qualifiers", () => {
+  const engine = new QueryEngine({
+    searchSyntax: "advanced",
+    columns: [
+      { id: "name", accessor: "name" },
+      { id: "club", accessor: "club" },
+      { id: "age", accessor: "age", type: "number" }
+    ]
+  });
+  engine.setRows([
+    { name: "Lamine Yamal", club: "FC Barcelona", age: 17 },
+    { name: "Pedri", club: "FC Barcelona", age: 21 },
+    { name: "Jude Bellingham", club: "Real Madrid", age: 20 },
+    { name: "Robert Lewandowski", club: "FC Barcelona", age: 35 }
+  ]);
+
+  const names = (search) => engine.run({ search, pagination: false }).rows.map((row) => row.name);
+
+  assert.deepEqual(names('"fc barcelona" age:>30'), ["Robert Lewandowski"]);
+  assert.deepEqual(names("club:barcelona -pedri age:<30"), ["Lamine Yamal"]);
+  assert.deepEqual(names("pedri OR club:madrid"), ["Pedri", "Jude Bellingham"]);
+  assert.deepEqual(names("age:20..21"), ["Pedri", "Jude Bellingham"]);
+});
+
+test("parseSearchQuery keeps unknown qualifiers as text", () => {
+  assert.deepEqual(parseSearchQuery('at:10:30 -"red card"', { columns: [{ id: "age" }] }), {
+    groups: [
+      {
+        terms: [
+          { column: null, operator: "contains", value: "at:10:30", negate: false },
+          { column: null, operator: "contains", value: "red card", negate: true }
+        ]
+      }
+    ]
+  });
+});
+
+test("parseSearchQuery reads quoted negation and qualifiers literally", () => {
+  const columns = [{ id: "name" }];
+  assert.deepEqual(parseSearchQuery('"-foo" "name:x" name:"Pedri G" -"name:y"', { columns }), {
+    groups: [
+      {
+        terms: [
+          { column: null, operator: "contains", value: "-foo", negate: false },
+          { column: null, operator: "contains", value: "name:x", negate: false },
+          { column: "name", operator: "contains", value: "Pedri G", negate: false },
+          { column: null, operator: "contains", value: "name:y", negate: true }
+        ]
+      }
+    ]
+  });
+});
+
+test("fuzzy mode tolerates typos and word order and can rank by relevance", () => {
+  const engine = new QueryEngine({
+    mode: "fuzzy",
+    sortByRelevance: true,
+    columns: [{ id: "name", accessor: "name" }]
+  });
+  engine.setRows([
+    { name: "Robert Lewandowski" },
+    { name: "Yamalito Junior" },
+    { name: "Lamine Yamal" },
+    { name: "İlkay Gündoğan" },
+    { name: "Lamine Camara" }
+  ]);
+
+  const names = (search, sort = []) => engine.run({ search, sort, pagination: false }).rows.map((row) => row.name);
+
+  assert.deepEqual(names("lewandoski"), ["Robert Lewandowski"]);
+  assert.deepEqual(names("yamla lamine"), ["Lamine Yamal"]);
+  assert.deepEqual(names("gundogan"), ["İlkay Gündoğan"]);
+  assert.deepEqual(names("lamine yamal"), ["Lamine Yamal"]);
+  assert.deepEqual(names("lamine cam"), ["Lamine Camara"]);
+  assert.deepEqual(names("lamine"), ["Lamine Yamal", "Lamine Camara"]);
+  assert.deepEqual(names("xyz"), []);
+  assert.deepEqual(names("yamal"), ["Lamine Yamal", "Yamalito Junior"], "exact words rank above prefixes");
+
+  const sorted = names("yamal", [{ id: "name", direction: "desc" }]);
+  assert.deepEqual(sorted, ["Yamalito Junior", "Lamine Yamal"], "explicit sort overrides relevance");
+});
+
+test("grouping produces header items with counts and aggregates", () => {
+  const engine = new QueryEngine({
+    columns: [
+      { id: "name", accessor: "name" },
+      { id: "club", accessor: "club" },
+      { id: "age", accessor: "age", type: "number" }
+    ]
+  });
+  engine.setRows([
+    { name: "Pedri", club: "Barcelona", age: "21" },
+    { name: "Jude", club: "Madrid", age: "20" },
+    { name: "Lewa", club: "Barcelona", age: "35" }
+  ]);
+
+  const grouping = { by: ["club"], aggregates: { age: "avg" } };
+  const result = engine.run({ grouping, pagination: false });
+
+  assert.deepEqual(
+    result.items.map((item) => (item.type === "group" ? `${item.key} (${item.count}) ${item.aggregates.age}` : item.row.name)),
+    ["club=Barcelona (2) 28", "Pedri", "Lewa", "club=Madrid (1) 20", "Jude"]
+  );
+  assert.deepEqual(result.rows.map((row) => row.name), ["Pedri", "Lewa", "Jude"]);
+
+  const collapsed = engine.run({ grouping, collapsedGroups: ["club=Barcelona"], pageSize: 2 });
+  assert.equal(collapsed.totalPages, 2, "collapsed groups drop their rows from paging");
+  assert.deepEqual(collapsed.items.map((item) => item.type), ["group", "group"]);
+  assert.deepEqual(collapsed.rows, []);
+});
+
+test("results are reused across pages and refined when the search grows", () => {
+  const engine = createEngine(
+    Array.from({ length: 50 }, (_, index) => ({ id: index, name: `Player ${index}`, score: index % 7 }))
+  );
+
+  const first = engine.run({ search: "player 1", sort: [{ id: "score", direction: "desc" }], pageSize: 5 });
+  assert.equal(first.timing.cache, "miss");
+  assert.equal(first.filteredCount, 11);
+
+  const nextPage = engine.run({ search: "player 1", sort: [{ id: "score", direction: "desc" }], page: 1, pageSize: 5 });
+  assert.equal(nextPage.timing.cache, "hit");
+  assert.deepEqual(nextPage.rows.map((row) => row.id), [10, 17, 16, 1, 15]);
+
+  const refined = engine.run({ search: "player 12", sort: [{ id: "score", direction: "desc" }], pagination: false });
+  assert.equal(refined.timing.cache, "refined");
+  assert.deepEqual(refined.rows.map((row) => row.id), [12]);
+
+  const resorted = engine.run({ search: "player 12", sort: [], pagination: false });
+  assert.equal(resorted.timing.cache, "hit");
+
+  engine.setRows([{ id: 99, name: "Player 12b", score: 1 }]);
+  const reset = engine.run({ search: "player 12", pagination: false });
+  assert.equal(reset.timing.cache, "miss", "setRows drops cached results");
+  assert.deepEqual(reset.rows.map((row) => row.id), [99]);
+});
+
+test("patchRows updates, removes and appends rows without dropping cached results", () => {
+  const rows = Array.from({ length: 30 }, (_, index) => ({ id: index, name: `Player ${index}`, score: index % 5 }));
+  const engine = createEngine(rows);
+  const query = { search: "player 1", sort: [{ id: "score", direction: "desc" }], pagination: false };
+  engine.run(query);
+  const searchIndex = engine.searchIndex;
+
+  // Row 12 is replaced, row 3 is edited in place, row 10 and row 15 are removed and two rows are added.
+  const next = rows.filter((row) => row.id !== 10 && row.id !== 15);
+  next[next.findIndex((row) => row.id === 12)] = { id: 12, name: "Player 12", score: 4 };
+  next[3].name = "Player 1003";
+  next.push({ id: 30, name: "Player 100", score: 2 }, { id: 31, name: "Keeper", score: 4 });
+  engine.patchRows(next, { updated: [3, 12], removed: [10, 15] });
+
+  assert.notEqual(engine.searchIndex, searchIndex, "removals compact the search index");
+  assert.equal(engine.searchIndex.length, next.length);
+  assert.deepEqual(engine.sortKeys.get("score"), next.map((row) => row.score));
+
+  const patched = engine.run(query);
+  assert.equal(patched.timing.cache, "hit", "the patched result is reused");
+  const expected = createEngine(next).run(query);
+  assert.deepEqual(patched.rows, expected.rows);
+  assert.deepEqual(
+    patched.rows.map((row) => row.id),
+    [12, 14, 19, 3, 13, 18, 17, 30, 1, 11, 16]
+  );
+
+  // Updates alone patch the same arrays.
+  const index = engine.searchIndex;
+  next[0] = { id: 0, name: "Player 1x", score: 9 };
+  engine.patchRows(next, { updated: [0] });
+  assert.equal(engine.searchIndex, index);
+  assert.equal(engine.run(query).rows[0].id, 0);
+});
+
+test("columns can sort with sortValue, compare and collation options", () => {
+  const priority = { critical: 0, high: 1, normal: 2 };
+  const engine = new QueryEngine({
+    columns: [
+      { id: "name", accessor: "name", collation: { locale: "sv", sensitivity: "base" } },
+      { id: "status", accessor: "status", compare: (a, b) => priority[a] - priority[b] },
+      { id: "rank", accessor: "rank", sortValue: (row) => row.rank?.position, collation: { nulls: "first" } }
+    ]
+  });
+  engine.setRows([
+    { name: "Östen", status: "normal", rank: { position: 2 } },
+    { name: "Zlatan", status: "critical", rank: null },
+    { name: "Åsa", status: "high", rank: { position: 1 } },
+    { name: "Anders", status: "high", rank: { position: 3 } }
+  ]);
+
+  const names = (sort) => engine.run({ sort: [sort], pagination: false }).rows.map((row) => row.name);
+
+  // Swedish collation puts Å and Ö after Z.
+  assert.deepEqual(names({ id: "name", direction: "asc" }), ["Anders", "Zlatan", "Åsa", "Östen"]);
+  assert.deepEqual(names({ id: "status", direction: "asc" }), ["Zlatan", "Åsa", "Anders", "Östen"]);
+  assert.deepEqual(names({ id: "rank", direction: "asc" }), ["Zlatan", "Åsa", "Östen", "Anders"]);
+  assert.deepEqual(names({ id: "rank", direction: "desc" }), ["Zlatan", "Anders", "Östen", "Åsa"]);
+});
+
+test("facets count values over filtered rows and ignore the column's own filter", () => {
+  const engine = new QueryEngine({
+    columns: [
+      { id: "name", accessor: "name" },
+      { id: "club", accessor: "club" },
+      { id: "position", accessor: "position" }
+    ]
+  });
+  engine.setRows([
+    { name: "Pedri", club: "Barcelona", position: "MF" },
+    { name: "Lewa", club: "Barcelona", position: "FW" },
+    { name: "Jude", club: "Madrid", position: "MF" },
+    { name: "Vini", club: "Madrid", position: "FW" },
+    { name: "Rodri", club: "City", position: "MF" },
+    { name: "Gavi", club: "Barcelona", position: "" }
+  ]);
+
+  const filters = [{ id: "club", operator: "in", value: ["Madrid"] }];
+
+  assert.deepEqual(engine.facets("club", { filters }), [
+    { value: "Barcelona", count: 3 },
+    { value: "Madrid", count: 2 },
+    { value: "City", count: 1 }
+  ]);
+  assert.deepEqual(engine.facets("position", { filters }), [
+    { value: "FW", count: 1 },
+    { value: "MF", count: 1 }
+  ]);
+  assert.deepEqual(engine.facets("position", { search: "barcelona", limit: 2 }), [
+    { value: "", count: 1 },
+    { value: "FW", count: 1 }
+  ]);
+  assert.deepEqual(engine.facets("missing"), []);
+
+  for (const search of ["b", "ba", "bar", "barc"]) {
+    engine.facets("club", { search });
+  }
+  assert.equal(engine.facetCache.size, 1, "only the current query's counts are cached");
+});
+
+test("run computes aggregates over the filtered set and reuses them across pages", () => {
+  const engine = createEngine(
+    Array.from({ length: 10 }, (_, index) => ({ id: index, name: index % 2 ? "odd" : "even", score: String(index) }))
+  );
+  let calls = 0;
+  const aggregates = {
+    score: "sum",
+    id: (values) => {
+      calls += 1;
+      return values.length;
+    }
+  };
+
+  const first = engine.run({ search: "odd", pageSize: 2, aggregates });
+  assert.deepEqual(first.aggregates, { score: 25, id: 5 });
+  assert.equal(first.rows.length, 2, "aggregates ignore paging");
+
+  const secondPage = engine.run({ search: "odd", page: 1, pageSize: 2, aggregates });
+  assert.equal(secondPage.aggregates, first.aggregates);
+  assert.equal(calls, 1);
+
+  assert.equal(engine.run({ search: "odd" }).aggregates, null);
+  assert.deepEqual(engine.aggregate([{ score: "4" }, { score: "x" }], { score: "max" }), { score: "x" });
+});
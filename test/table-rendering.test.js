@@ -0,0 +1,1789 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { JSDOM } from "jsdom";
+
+import { BetterDataTable } from "../src/index.js";
+import { createQueryWorkerHandler } from "../src/core/queryWorker.js";
+
+function installDomGlobals(window) {
+  const names = [
+    "window",
+    "document",
+    "Node",
+    "HTMLElement",
+    "location",
+    "requestAnimationFrame",
+    "cancelAnimationFrame"
+  ];
+  const previous = new Map();
+
+  for (const name of names) {
+    previous.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+  }
+
+  if (!window.requestAnimationFrame) {
+    window.requestAnimationFrame = (callback) => setTimeout(() => callback(Date.now()), 0);
+  }
+  if (!window.cancelAnimationFrame) {
+    window.cancelAnimationFrame = (id) => clearTimeout(id);
+  }
+
+  Object.defineProperty(globalThis, "window", { value: window, configurable: true, writable: true });
+  Object.defineProperty(globalThis, "document", { value: window.document, configurable: true, writable: true });
+  Object.defineProperty(globalThis, "Node", { value: window.Node, configurable: true, writable: true });
+  Object.defineProperty(globalThis, "HTMLElement", { value: window.HTMLElement, configurable: true, writable: true });
+  Object.defineProperty(globalThis, "location", { value: window.location, configurable: true, writable: true });
+  Object.defineProperty(globalThis, "requestAnimationFrame", {
+    value: (callback) => setTimeout(() => callback(Date.now()), 0),
+    configurable: true,
+    writable: true
+  });
+  Object.defineProperty(globalThis, "cancelAnimationFrame", {
+    value: (id) => clearTimeout(id),
+    configurable: true,
+    writable: true
+  });
+
+  return () => {
+    for (const [name, descriptor] of previous.entries()) {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        Reflect.deleteProperty(globalThis, name);
+      }
+    }
+  };
+}
+
+async function mountTable(options) {
+  const dom = new JSDOM(`<!doctype html><html><body><div id="table"></div></body></html>`, {
+    url: "http://localhost/"
+  });
+  const restoreGlobals = installDomGlobals(dom.window);
+  const table = new BetterDataTable("#table", {
+    state: { enabled: false },
+    virtualization: { enabled: false },
+    ...options
+  });
+
+  await nextFrame();
+
+  return {
+    dom,
+    table,
+    document: dom.window.document,
+    cleanup() {
+      table.destroy();
+      restoreGlobals();
+      dom.window.close();
+    }
+  };
+}
+
+function nextFrame() {
+  return new Promise((resolve) => setTimeout(resolve, 5));
+}
+
+test("typed columns format cells and add alignment classes", async () => {
+  const { document, cleanup } = await mountTable({
+    columns: [
+      { id: "amount", header: "Amount", accessor: "amount", type: "currency", currency: "EUR", locale: "en-US" },
+      { id: "active", header: "Active", accessor: "active", type: "boolean" }
+    ],
+    data: [{ amount: "1200.5", active: "true" }]
+  });
+
+  try {
+    const cells = document.querySelectorAll("#table tbody td");
+    assert.equal(cells[0].textContent, "€1,200.50");
+    assert.ok(cells[0].classList.contains("bdt__cell--align-end"));
+    assert.equal(cells[1].textContent, "Yes");
+    assert.ok(cells[1].classList.contains("bdt__cell--align-center"));
+  } finally {
+    cleanup();
+  }
+});
+
+test("group headers render and collapse by click", async () => {
+  const { document, table, cleanup } = await mountTable({
+    columns: [
+      { id: "name", header: "Name", accessor: "name" },
+      { id: "club", header: "Club", accessor: "club" },
+      { id: "age", header: "Age", accessor: "age" }
+    ],
+    grouping: { by: ["club"], aggregates: { age: "avg" } },
+    data: [
+      { name: "Pedri", club: "Barcelona", age: 21 },
+      { name: "Jude", club: "Madrid", age: 20 },
+      { name: "Lewa", club: "Barcelona", age: 34 }
+    ]
+  });
+
+  try {
+    const headers = document.querySelectorAll("#table tbody tr.bdt__group-row");
+    assert.equal(headers.length, 2);
+    assert.equal(headers[0].textContent.includes("Club: Barcelona (2) · Age avg: 27.5"), true);
+
+    headers[0].querySelector("button[data-bdt-group]").click();
+    await nextFrame();
+
+    assert.deepEqual(table.getState().collapsedGroups, ["club=Barcelona"]);
+    assert.equal(document.querySelectorAll("#table tbody tr[data-row-key]").length, 1);
+    assert.equal(
+      document.querySelector("#table button[data-bdt-group]").getAttribute("aria-expanded"),
+      "false"
+    );
+  } finally {
+    cleanup();
+  }
+});
+
+test("corrupt collapsed groups in stored state fall back to an empty list", async () => {
+  for (const [stored, expected] of [
+    ["club=Barcelona", []],
+    [{ "club=Barcelona": true }, []],
+    [["club=Madrid", 7, null], ["club=Madrid"]]
+  ]) {
+    const storage = { getItem: () => JSON.stringify({ collapsedGroups: stored }), setItem() {}, removeItem() {} };
+    const { document, table, cleanup } = await mountTable({
+      columns: [
+        { id: "name", header: "Name", accessor: "name" },
+        { id: "club", header: "Club", accessor: "club" }
+      ],
+      grouping: { by: ["club"] },
+      state: { enabled: true, storage },
+      data: [
+        { name: "Pedri", club: "Barcelona" },
+        { name: "Jude", club: "Madrid" }
+      ]
+    });
+
+    try {
+      assert.deepEqual(table.getState().collapsedGroups, expected);
+      assert.equal(document.querySelectorAll("#table tbody tr[data-row-key]").length, 2 - expected.length);
+    } finally {
+      cleanup();
+    }
+  }
+});
+
+// Runs the real worker handler in-process with the same clone and async boundaries as a Worker.
+class InProcessWorker {
+  constructor() {
+    this.handle = createQueryWorkerHandler();
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    const data = structuredClone(message);
+    setTimeout(() => {
+      if (this.terminated) {
+        return;
+      }
+      try {
+        this.onmessage({ data: { id: data.id, result: this.handle(data) } });
+      } catch (error) {
+        this.onmessage({ data: { id: data.id, error: error.message } });
+      }
+    }, 0);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+test("worker mode queries rows off the main thread and keeps row identity", async () => {
+  const data = [
+    { id: 1, name: "Pedri", club: { name: "Barcelona" }, age: 21 },
+    { id: 2, name: "Jude", club: { name: "Madrid" }, age: 20 },
+    { id: 3, name: "Lewa", club: { name: "Barcelona" }, age: 35 }
+  ];
+  const { document, table, cleanup } = await mountTable({
+    query: { worker: true, createWorker: () => new InProcessWorker() },
+    columns: [
+      { id: "name", header: "Name", accessor: "name" },
+      { id: "club", header: "Club", accessor: "club.name" },
+      { id: "label", header: "Label", accessor: (row) => `${row.name} (${row.age})` }
+    ],
+    data
+  });
+
+  try {
+    await nextFrame();
+    assert.equal(table.getRows().length, 3);
+
+    table.setSearch("barcelona");
+    await nextFrame();
+    await nextFrame();
+    assert.deepEqual(table.getRows(), [data[0], data[2]], "rows come back as the original objects");
+
+    table.setSearch("(35)");
+    await nextFrame();
+    await nextFrame();
+    assert.deepEqual(table.getRows(), [data[2]], "function accessors are precomputed for the worker");
+
+    const fallback = new BetterDataTable(document.createElement("div"), {
+      state: { enabled: false },
+      query: { worker: true, createWorker: () => new InProcessWorker() },
+      columns: [{ id: "name", header: "Name", accessor: "name", compare: (a, b) => a.localeCompare(b) }],
+      data
+    });
+    const errors = [];
+    fallback.on("error", (payload) => errors.push(payload.type));
+    await nextFrame();
+    fallback.destroy();
+    assert.deepEqual(errors, ["worker"], "listeners added after construction hear about the fallback");
+  } finally {
+    cleanup();
+  }
+});
+
+test("facets control filters rows with checkbox lists", async () => {
+  const { document, table, cleanup } = await mountTable({
+    layout: { topStart: ["facets"] },
+    facets: { columns: ["club", "position"] },
+    columns: [
+      { id: "name", header: "Name", accessor: "name" },
+      { id: "club", header: "Club", accessor: "club" },
+      { id: "position", header: "Position", accessor: "position" }
+    ],
+    data: [
+      { name: "Pedri", club: "Barcelona", position: "MF" },
+      { name: "Jude", club: "Madrid", position: "MF" },
+      { name: "Lewa", club: "Barcelona", position: "FW" }
+    ]
+  });
+
+  try {
+    const clubInputs = () => document.querySelectorAll('#table input[data-bdt-facet="club"]');
+    const labels = [...document.querySelectorAll('#table [data-bdt-facet-col="club"] .bdt__facet-option')];
+    assert.deepEqual(
+      labels.map((label) => label.textContent),
+      ["Barcelona2", "Madrid1"]
+    );
+
+    clubInputs()[1].click();
+    await nextFrame();
+
+    assert.deepEqual(table.getState().filters, [{ id: "club", operator: "in", value: ["Madrid"] }]);
+    assert.equal(table.getRows().length, 1);
+    assert.equal(clubInputs()[1].checked, true);
+    assert.deepEqual(table.getFacets("position"), [{ value: "MF", count: 1 }]);
+
+    clubInputs()[1].click();
+    await nextFrame();
+    assert.deepEqual(table.getState().filters, []);
+    assert.equal(table.getRows().length, 3);
+  } finally {
+    cleanup();
+  }
+});
+
+test("server mode reads facets from the fetch result", async () => {
+  const queries = [];
+  const { table, cleanup } = await mountTable({
+    facets: { columns: ["club"] },
+    columns: [
+      { id: "name", header: "Name", accessor: "name" },
+      { id: "club", header: "Club", accessor: "club" }
+    ],
+    server: {
+      enabled: true,
+      fetch: async (query) => {
+        queries.push(query);
+        return {
+          rows: [{ name: "Pedri", club: "Barcelona" }],
+          totalCount: 40,
+          facets: { club: [{ value: "Barcelona", count: 25 }, { value: "Madrid", count: 15 }] }
+        };
+      }
+    }
+  });
+
+  try {
+    await nextFrame();
+    assert.deepEqual(queries[0].facets, ["club"]);
+    assert.deepEqual(table.getFacets("club", { limit: 1 }), [{ value: "Barcelona", count: 25 }]);
+    assert.deepEqual(table.getFacets("name"), []);
+  } finally {
+    cleanup();
+  }
+});
+
+test("virtualization measures variable row heights for the spacers", async () => {
+  const rows = Array.from({ length: 50 }, (_, index) => ({
+    id: index,
+    text: index % 5 === 0 ? "long description ".repeat(20) : "short"
+  }));
+  const dom = new JSDOM(`<!doctype html><html><body><div id="table"></div></body></html>`, {
+    url: "http://localhost/"
+  });
+  // jsdom has no layout, so rows report 120px when they contain a long description and 40px otherwise.
+  dom.window.HTMLTableRowElement.prototype.getBoundingClientRect = function () {
+    return { height: this.textContent.includes("long description") ? 120 : 40 };
+  };
+  const restoreGlobals = installDomGlobals(dom.window);
+  const table = new BetterDataTable("#table", {
+    state: { enabled: false },
+    pagination: { enabled: false },
+    virtualization: { enabled: true, height: 200, rowHeight: 40, overscan: 1 },
+    rowKey: "id",
+    columns: [
+      { id: "id", header: "Id", accessor: "id" },
+      { id: "text", header: "Text", accessor: "text", wrap: true }
+    ],
+    data: rows
+  });
+
+  try {
+    await nextFrame();
+    await nextFrame();
+
+    const spacerHeights = () =>
+      [...dom.window.document.querySelectorAll("#table tr.bdt__spacer td")].map((td) => td.style.height);
+    const renderedKeys = () =>
+      [...dom.window.document.querySelectorAll("#table tbody tr[data-row-key]")].map((tr) => tr.dataset.rowKey);
+
+    // The first pass used the 40px estimate and rendered rows 0-6, so rows 0 and 5 are measured at 120px.
+    // With real heights a 200px viewport only reaches row 3, plus one overscan row.
+    assert.deepEqual(renderedKeys(), ["0", "1", "2", "3", "4"]);
+    // Unmeasured rows keep the estimate: 2 * 120 + 48 * 40 in total, minus the 280px that is rendered.
+    assert.deepEqual(spacerHeights(), [`${2 * 120 + 48 * 40 - 280}px`]);
+
+    // Row 10 starts at 2 * (120 + 4 * 40) = 560px.
+    table.tableWrap.scrollTop = 560;
+    table.tableWrap.dispatchEvent(new dom.window.Event("scroll"));
+    await nextFrame();
+    await nextFrame();
+
+    assert.equal(renderedKeys()[0], "9");
+    assert.equal(spacerHeights()[0], "520px");
+
+    // Rows 0, 5, 10 and 15 are measured by now, so row 20 starts at 4 * (120 + 4 * 40) = 1120px.
+    assert.equal(table.scrollToRow(20), true);
+    assert.equal(table.tableWrap.scrollTop, 1120);
+    await nextFrame();
+    await nextFrame();
+    assert.equal(renderedKeys()[0], "19");
+    assert.equal(table.scrollToRow(99), false);
+
+    table.removeRows([0]);
+    assert.equal(table.heightIndex.sizes.has("row:0"), false, "heights of removed rows are dropped");
+    assert.equal(table.heightIndex.sizes.get("row:5"), 120);
+  } finally {
+    table.destroy();
+    restoreGlobals();
+    dom.window.close();
+  }
+});
+
+test("renders patch rows by key instead of rebuilding the body", async () => {
+  const { document, table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [
+      { id: "name", header: "Name", accessor: "name" },
+      { id: "age", header: "Age", accessor: "age", type: "number", editable: true },
+      {
+        id: "label",
+        header: "Label",
+        accessor: "name",
+        render: (value, row, { rowIndex }) => `${rowIndex + 1}. ${value} (${row.age})`
+      }
+    ],
+    data: [
+      { id: 1, name: "Pedri", age: 21 },
+      { id: 2, name: "Jude", age: 20 }
+    ]
+  });
+
+  try {
+    const rowByKey = (key) => document.querySelector(`#table tbody tr[data-row-key="${key}"]`);
+    const pedri = rowByKey("1");
+    const nameCell = pedri.querySelector("td");
+    // Stands in for widget state or a selection that a full rebuild would destroy.
+    nameCell.append(document.createElement("mark"));
+
+    table.setSort("age", "asc");
+    await nextFrame();
+
+    assert.equal(rowByKey("1"), pedri, "the row element is moved, not recreated");
+    assert.equal(pedri.getAttribute("data-row-index"), "1");
+    assert.ok(nameCell.querySelector("mark"), "cells whose value did not change are untouched");
+    assert.equal(pedri.querySelectorAll("td")[2].textContent, "2. Pedri (21)", "custom renderers see the new index");
+
+    table.editCell(1, "age");
+    table.root.querySelector("tbody .bdt__editor").value = "23";
+    table.commitEdit();
+    await nextFrame();
+    assert.equal(pedri.querySelectorAll("td")[2].textContent, "2. Pedri (23)", "and other fields edited in place");
+    assert.ok(nameCell.querySelector("mark"), "plain cells of an edited row stay untouched");
+
+    table.setData([
+      { id: 1, name: "Pedri", age: 22 },
+      { id: 2, name: "Jude", age: 20 }
+    ]);
+    await nextFrame();
+
+    assert.equal(rowByKey("1"), pedri);
+    assert.equal(pedri.querySelectorAll("td")[1].textContent, "22");
+    assert.equal(nameCell.querySelector("mark"), null, "new row objects re-render their cells");
+  } finally {
+    cleanup();
+  }
+});
+
+test("column virtualization renders only columns in the horizontal viewport", async () => {
+  const columns = Array.from({ length: 20 }, (_, index) => ({
+    id: `m${index}`,
+    header: `Metric ${index}`,
+    accessor: (row) => row.id * 100 + index,
+    width: 100
+  }));
+  const { dom, document, table, cleanup } = await mountTable({
+    virtualization: { enabled: false, columns: true, columnOverscan: 1 },
+    columns,
+    data: [{ id: 1 }, { id: 2 }]
+  });
+
+  try {
+    Object.defineProperty(table.tableWrap, "clientWidth", { configurable: true, value: 400 });
+    table.requestRender("resize");
+    await nextFrame();
+
+    const renderedColumns = () =>
+      [...document.querySelectorAll('#table tbody tr[data-row-index="0"] td[data-col-index]')].map((td) =>
+        Number(td.dataset.colIndex)
+      );
+    const spacers = () =>
+      [...document.querySelectorAll("#table thead th.bdt__col-spacer")].map((th) => (th.hidden ? null : th.style.width));
+
+    // Columns 0-3 fill 400px; one visible partial column plus one overscan column follow.
+    assert.deepEqual(renderedColumns(), [0, 1, 2, 3, 4, 5]);
+    assert.deepEqual(spacers(), [null, "1400px"]);
+    assert.equal(document.querySelectorAll("#table thead th[data-bdt-col-id]:not([hidden])").length, 6);
+
+    const cell = document.querySelector('#table td[data-row-index="0"][data-col-index="5"]');
+    cell.focus();
+    cell.dispatchEvent(new dom.window.KeyboardEvent("keydown", { key: "ArrowRight", bubbles: true }));
+    await nextFrame();
+
+    assert.equal(table.tableWrap.scrollLeft, 300, "keyboard navigation scrolls the next column into view");
+    assert.deepEqual(renderedColumns(), [2, 3, 4, 5, 6, 7, 8]);
+    assert.deepEqual(spacers(), ["200px", "1100px"]);
+    assert.equal(document.activeElement.dataset.colIndex, "6");
+    assert.equal(document.activeElement.textContent, "106");
+  } finally {
+    cleanup();
+  }
+});
+
+test("pinned columns render first or last with sticky offsets", async () => {
+  const { document, table, cleanup } = await mountTable({
+    columns: [
+      { id: "name", header: "Name", accessor: "name" },
+      { id: "club", header: "Club", accessor: "club" },
+      { id: "id", header: "ID", accessor: "id", pin: "left", width: "80px" },
+      { id: "goals", header: "Goals", accessor: "goals" }
+    ],
+    data: [{ id: 7, name: "Pedri", club: "Barcelona", goals: 4 }]
+  });
+
+  try {
+    const headerIds = () =>
+      [...document.querySelectorAll("#table thead th[data-bdt-col-id]")].map((th) => th.dataset.bdtColId);
+    const firstRowText = () => [...document.querySelectorAll("#table tbody td")].map((td) => td.textContent);
+
+    assert.deepEqual(headerIds(), ["id", "name", "club", "goals"]);
+    assert.deepEqual(firstRowText(), ["7", "Pedri", "Barcelona", "4"]);
+
+    const idCell = document.querySelector("#table tbody td");
+    assert.ok(idCell.classList.contains("bdt__cell--pinned-left"));
+    assert.equal(idCell.style.getPropertyValue("left"), "var(--bdt-pin-0, 0px)");
+
+    const pins = [];
+    table.on("columnPin", (payload) => pins.push(payload));
+    table.pinColumn("name", "right");
+    await nextFrame();
+
+    assert.deepEqual(headerIds(), ["id", "club", "goals", "name"]);
+    assert.deepEqual(firstRowText(), ["7", "Barcelona", "4", "Pedri"]);
+    assert.ok(document.querySelector('#table thead th[data-bdt-col-id="name"]').classList.contains("bdt__cell--pinned-right"));
+    assert.deepEqual(pins, [{ columnId: "name", side: "right" }]);
+
+    table.unpinColumn("name");
+    await nextFrame();
+    assert.deepEqual(headerIds(), ["id", "name", "club", "goals"]);
+  } finally {
+    cleanup();
+  }
+});
+
+test("columns resize by drag and keyboard and persist their widths", async () => {
+  const { dom, document, table, cleanup } = await mountTable({
+    resizing: { minWidth: 60, step: 10 },
+    columns: [
+      { id: "name", header: "Name", accessor: "name", width: "150px" },
+      { id: "club", header: "Club", accessor: "club", maxWidth: 200 }
+    ],
+    data: [{ name: "Pedri", club: "Barcelona" }]
+  });
+
+  try {
+    const resizes = [];
+    table.on("columnResize", (payload) => resizes.push(payload));
+    const handle = (id) => document.querySelector(`#table [data-bdt-resize="${id}"]`);
+    const header = (id) => document.querySelector(`#table th[data-bdt-col-id="${id}"]`);
+
+    // jsdom has no layout, so the drag starts from the 150px given in the column definition.
+    table.setColumnWidth("name", 150);
+    handle("name").dispatchEvent(new dom.window.MouseEvent("pointerdown", { bubbles: true, clientX: 100, button: 0 }));
+    document.dispatchEvent(new dom.window.MouseEvent("pointermove", { bubbles: true, clientX: 40 }));
+    document.dispatchEvent(new dom.window.MouseEvent("pointermove", { bubbles: true, clientX: -100 }));
+    document.dispatchEvent(new dom.window.MouseEvent("pointerup", { bubbles: true, clientX: -100 }));
+    await nextFrame();
+
+    assert.equal(header("name").style.width, "60px", "drag is clamped to the minimum width");
+    assert.deepEqual(resizes.at(-1), { columnId: "name", width: 60 });
+    assert.equal(document.querySelector("#table tbody td").style.maxWidth, "var(--bdt-col-0-width)");
+
+    table.setColumnWidth("club", 195);
+    handle("club").focus();
+    handle("club").dispatchEvent(new dom.window.KeyboardEvent("keydown", { key: "ArrowRight", bubbles: true }));
+    await nextFrame();
+
+    assert.equal(header("club").style.width, "200px", "keyboard resize respects column.maxWidth");
+    assert.equal(document.activeElement, handle("club"));
+    assert.deepEqual(table.getState().columnWidths, { name: 60, club: 200 });
+
+    table.setColumnWidth("club", null);
+    await nextFrame();
+    assert.deepEqual(table.getColumnWidths(), { name: 60 });
+    assert.equal(header("club").style.width, "");
+
+    const resizeCount = resizes.length;
+    handle("club").dispatchEvent(new dom.window.MouseEvent("pointerdown", { bubbles: true, clientX: 300, button: 0 }));
+    document.dispatchEvent(new dom.window.MouseEvent("pointerup", { bubbles: true, clientX: 300 }));
+    await nextFrame();
+    assert.deepEqual(table.getColumnWidths(), { name: 60 }, "a click without movement keeps the width automatic");
+    assert.equal(resizes.length, resizeCount);
+  } finally {
+    cleanup();
+  }
+});
+
+test("columns reorder by drag and drop, keyboard and setColumnOrder", async () => {
+  const goalsIndexes = [];
+  const { dom, document, table, cleanup } = await mountTable({
+    columns: [
+      { id: "name", header: "Name", accessor: "name" },
+      { id: "club", header: "Club", accessor: "club" },
+      {
+        id: "goals",
+        header: "Goals",
+        accessor: "goals",
+        render: (value, row, { colIndex }) => {
+          goalsIndexes.push(colIndex);
+          return String(value);
+        }
+      }
+    ],
+    data: [{ name: "Pedri", club: "Barcelona", goals: 4 }]
+  });
+
+  try {
+    const orders = [];
+    table.on("columnOrderChange", (payload) => orders.push(payload.order));
+    const headerIds = () =>
+      [...document.querySelectorAll("#table thead th")].map((th) => th.getAttribute("data-bdt-col-id"));
+    const bodyText = () => [...document.querySelectorAll("#table tbody td")].map((td) => td.textContent);
+    const header = (id) => document.querySelector(`#table th[data-bdt-col-id="${id}"]`);
+
+    table.setColumnOrder(["goals", "unknown", "goals"]);
+    await nextFrame();
+    assert.deepEqual(table.getColumnOrder(), ["goals", "name", "club"]);
+    assert.deepEqual(headerIds(), ["goals", "name", "club"]);
+    assert.deepEqual(bodyText(), ["4", "Pedri", "Barcelona"]);
+    assert.equal(goalsIndexes.at(-1), 0);
+    assert.deepEqual(orders, [["goals", "name", "club"]]);
+
+    // jsdom reports empty rects, so a drop always lands before the target column.
+    assert.equal(header("club").draggable, true);
+    header("club").dispatchEvent(new dom.window.Event("dragstart", { bubbles: true }));
+    header("goals").dispatchEvent(new dom.window.Event("dragover", { bubbles: true, cancelable: true }));
+    assert.ok(header("goals").classList.contains("bdt__th--drop-before"));
+    header("goals").dispatchEvent(new dom.window.Event("drop", { bubbles: true, cancelable: true }));
+    header("club").dispatchEvent(new dom.window.Event("dragend", { bubbles: true }));
+    await nextFrame();
+    assert.deepEqual(headerIds(), ["club", "goals", "name"]);
+    assert.equal(document.querySelector("#table tbody td").getAttribute("data-col-index"), "0");
+    assert.equal(document.querySelector("#table .bdt__th--drop-before"), null);
+
+    const sortButton = document.querySelector('#table button[data-bdt-sort="club"]');
+    sortButton.focus();
+    sortButton.dispatchEvent(
+      new dom.window.KeyboardEvent("keydown", { key: "ArrowRight", altKey: true, bubbles: true })
+    );
+    await nextFrame();
+    assert.deepEqual(headerIds(), ["goals", "club", "name"]);
+    assert.equal(document.activeElement.getAttribute("data-bdt-sort"), "club");
+    assert.deepEqual(table.getState().columnOrder, ["goals", "club", "name"]);
+  } finally {
+    cleanup();
+  }
+});
+
+test("column chooser hides columns and hidden columns can drop out of search", async () => {
+  const { document, table, cleanup } = await mountTable({
+    layout: { topStart: ["search", "columns"] },
+    columnVisibility: { searchHidden: false },
+    columns: [
+      { id: "name", header: "Name", accessor: "name" },
+      { id: "club", header: "Club", accessor: "club" },
+      { id: "goals", header: "Goals", accessor: "goals", visible: false }
+    ],
+    data: [
+      { name: "Pedri", club: "Barcelona", goals: 4 },
+      { name: "Vinicius", club: "Real Madrid", goals: 15 }
+    ]
+  });
+
+  try {
+    const changes = [];
+    table.on("columnVisibilityChange", (payload) => changes.push(payload));
+    const headerIds = () =>
+      [...document.querySelectorAll("#table thead th")].map((th) => th.getAttribute("data-bdt-col-id"));
+    const toggle = (id) => document.querySelector(`#table input[data-bdt-column-toggle="${id}"]`);
+    const button = document.querySelector("#table .bdt__control--columns button");
+    const panel = document.querySelector("#table .bdt__column-menu");
+
+    assert.deepEqual(headerIds(), ["name", "club"]);
+    assert.equal(document.querySelectorAll("#table tbody tr:first-child td").length, 2);
+
+    button.click();
+    assert.equal(button.getAttribute("aria-expanded"), "true");
+    assert.equal(panel.hidden, false);
+    assert.equal(document.activeElement, toggle("name"));
+    assert.equal(toggle("goals").checked, false);
+
+    toggle("club").click();
+    await nextFrame();
+    assert.deepEqual(headerIds(), ["name"]);
+    assert.deepEqual(changes, [{ columnId: "club", visible: false }]);
+    assert.equal(toggle("name").disabled, true, "the last visible column cannot be hidden");
+    assert.deepEqual(table.getState().columnVisibility, { club: false });
+
+    table.setSearch("Madrid");
+    await nextFrame();
+    assert.equal(document.querySelector("#table tbody td").textContent, "No rows found");
+
+    toggle("club").click();
+    await nextFrame();
+    assert.deepEqual(headerIds(), ["name", "club"]);
+    assert.equal(document.querySelectorAll("#table tbody tr").length, 1, "search sees the column again");
+    assert.deepEqual(table.getColumnOrder(), ["name", "club", "goals"]);
+
+    document.body.click();
+    assert.equal(panel.hidden, true);
+    assert.equal(button.getAttribute("aria-expanded"), "false");
+  } finally {
+    cleanup();
+  }
+});
+
+test("nested column definitions render grouped header rows", async () => {
+  const { document, table, cleanup } = await mountTable({
+    columns: [
+      { id: "team", header: "Team", accessor: "team" },
+      {
+        header: "Home",
+        columns: [
+          { id: "homeWins", header: "W", accessor: "home.wins" },
+          { id: "homeLosses", header: "L", accessor: "home.losses" }
+        ]
+      },
+      {
+        header: "Away",
+        columns: [
+          { id: "awayWins", header: "W", accessor: "away.wins" },
+          { id: "awayLosses", header: "L", accessor: "away.losses" }
+        ]
+      }
+    ],
+    data: [{ team: "Girona", home: { wins: 9, losses: 1 }, away: { wins: 6, losses: 3 } }]
+  });
+
+  try {
+    const headerRows = () =>
+      [...document.querySelectorAll("#table thead tr")].map((row) =>
+        [...row.children].map((th) => [(th.querySelector(".bdt__sort-label") || th).textContent, th.colSpan])
+      );
+
+    assert.deepEqual(table.getColumnOrder(), ["team", "homeWins", "homeLosses", "awayWins", "awayLosses"]);
+    assert.deepEqual(headerRows(), [
+      [["", 1], ["Home", 2], ["Away", 2]],
+      [["Team", 1], ["W", 1], ["L", 1], ["W", 1], ["L", 1]]
+    ]);
+
+    const home = document.querySelector("#table thead tr:first-child th:nth-child(2)");
+    const awayWins = document.querySelector('#table th[data-bdt-col-id="awayWins"]');
+    assert.equal(home.scope, "colgroup");
+    assert.equal(document.querySelector("#table thead tr:first-child th").getAttribute("aria-hidden"), "true");
+    assert.equal(
+      document.querySelector('#table td[data-col-index="1"]').getAttribute("headers"),
+      `${home.id} ${document.querySelector('#table th[data-bdt-col-id="homeWins"]').id}`
+    );
+    assert.equal(document.querySelector('#table td[data-col-index="3"]').textContent, "6");
+    assert.notEqual(awayWins.getAttribute("headers"), home.id);
+
+    // Moving a column out of its group splits the group cell around it.
+    table.setColumnOrder(["homeWins", "team"]);
+    await nextFrame();
+    assert.deepEqual(headerRows()[0], [["Home", 1], ["", 1], ["Home", 1], ["Away", 2]]);
+
+    table.setColumnVisibility("awayLosses", false);
+    await nextFrame();
+    assert.deepEqual(headerRows()[0].at(-1), ["Away", 1]);
+  } finally {
+    cleanup();
+  }
+});
+
+test("row detail panels expand under their rows and stay in state", async () => {
+  const details = [];
+  const { document, table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [
+      { id: "name", header: "Name", accessor: "name" },
+      { id: "club", header: "Club", accessor: "club" }
+    ],
+    data: [
+      { id: 1, name: "Pedri", club: "Barcelona" },
+      { id: 2, name: "Vinicius", club: "Real Madrid" }
+    ],
+    rowDetail: {
+      render: (row) => {
+        details.push(row.id);
+        return { text: `${row.name} plays for ${row.club}` };
+      }
+    }
+  });
+
+  try {
+    const toggles = [];
+    table.on("rowToggle", (payload) => toggles.push(payload));
+    const bodyRows = () =>
+      [...document.querySelectorAll("#table tbody tr")].map((tr) => tr.getAttribute("data-row-key") || tr.className);
+    const toggle = (key) => document.querySelector(`#table button[data-bdt-detail="${key}"]`);
+
+    assert.deepEqual(bodyRows(), ["1", "2"]);
+    assert.equal(toggle("1").getAttribute("aria-expanded"), "false");
+    assert.equal(toggle("1").parentElement.getAttribute("data-col-index"), "0");
+
+    toggle("1").focus();
+    toggle("1").click();
+    await nextFrame();
+    const detail = document.querySelector("#table .bdt__detail");
+    assert.deepEqual(bodyRows(), ["1", "bdt__detail-row", "2"]);
+    assert.equal(detail.textContent, "Pedri plays for Barcelona");
+    assert.equal(detail.colSpan, 2);
+    assert.equal(toggle("1").getAttribute("aria-expanded"), "true");
+    assert.equal(toggle("1").getAttribute("aria-controls"), detail.id);
+    assert.equal(document.activeElement, toggle("1"), "the toggle survives the render");
+    assert.deepEqual(toggles, [{ key: "1", expanded: true }]);
+    assert.deepEqual(table.getState().expandedRows, ["1"]);
+
+    table.expandRow(2);
+    table.setSort("name", "desc");
+    await nextFrame();
+    assert.deepEqual(bodyRows(), ["2", "bdt__detail-row", "1", "bdt__detail-row"]);
+    assert.deepEqual(details, [1, 2], "panels are not rendered again when rows move");
+
+    table.collapseRow(1);
+    table.toggleRow(2);
+    await nextFrame();
+    assert.deepEqual(bodyRows(), ["2", "1"]);
+    assert.deepEqual(table.getState().expandedRows, []);
+
+    assert.throws(
+      () =>
+        new BetterDataTable(document.createElement("div"), {
+          columns: [{ id: "name", header: "Name", accessor: "name" }],
+          rowDetail: { render: (row) => row.name }
+        }),
+      /rowKey/,
+      "expanded panels without rowKey would follow page positions"
+    );
+  } finally {
+    cleanup();
+  }
+});
+
+test("editable cells open an editor, validate and write back to the row", async () => {
+  const data = [
+    { id: 1, name: "Pedri", stats: { goals: 4 }, position: "MF", active: true },
+    { id: 2, name: "Gavi", stats: { goals: 2 }, position: "MF", active: false }
+  ];
+  const { dom, document, table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [
+      { id: "name", header: "Name", accessor: "name", editable: true },
+      {
+        id: "goals",
+        header: "Goals",
+        accessor: "stats.goals",
+        type: "number",
+        editable: true,
+        validate: (value) => (value >= 0 ? true : "Goals cannot be negative"),
+        footer: "sum"
+      },
+      {
+        id: "position",
+        header: "Position",
+        accessor: "position",
+        editable: true,
+        editor: "select",
+        editorOptions: ["GK", "MF", "FW"]
+      },
+      { id: "active", header: "Active", accessor: "active", type: "boolean", editable: (row) => row.id !== 2 }
+    ],
+    data,
+    sorting: { initial: [{ id: "goals", direction: "desc" }] }
+  });
+
+  try {
+    const edits = [];
+    table.on("afterEdit", ({ key, columnId, value, oldValue }) => edits.push([key, columnId, oldValue, value]));
+    table.on("beforeEdit", (event) => {
+      if (event.value === "Blocked") {
+        event.preventDefault();
+      }
+    });
+    const cell = (key, col) =>
+      document.querySelector(`#table tbody tr[data-row-key="${key}"] td[data-col-index="${col}"]`);
+    const key = (target, name, init = {}) =>
+      target.dispatchEvent(new dom.window.KeyboardEvent("keydown", { key: name, bubbles: true, ...init }));
+    const bodyKeys = () => [...document.querySelectorAll("#table tbody tr")].map((tr) => tr.getAttribute("data-row-key"));
+
+    cell(2, 1).focus();
+    key(cell(2, 1), "Enter");
+    let editor = cell(2, 1).querySelector("input.bdt__editor");
+    assert.equal(editor.type, "number");
+    assert.equal(editor.value, "2");
+    assert.equal(document.activeElement, editor);
+
+    editor.value = "-1";
+    key(editor, "Enter");
+    assert.equal(editor.getAttribute("aria-invalid"), "true");
+    assert.equal(cell(2, 1).querySelector(".bdt__edit-error").textContent, "Goals cannot be negative");
+    assert.equal(data[1].stats.goals, 2);
+
+    editor.value = "7";
+    key(editor, "Enter");
+    await nextFrame();
+    assert.equal(data[1].stats.goals, 7, "the accessor path is written");
+    assert.deepEqual(bodyKeys(), ["2", "1"], "the query runs again with the new value");
+    assert.equal(cell(2, 1).textContent, "7");
+    assert.equal(document.querySelectorAll("#table tfoot td")[1].textContent, "11");
+    assert.equal(document.activeElement, cell(2, 1));
+
+    key(cell(2, 1), "F2");
+    editor = cell(2, 1).querySelector("input");
+    editor.value = "9";
+    key(editor, "Escape");
+    await nextFrame();
+    assert.equal(data[1].stats.goals, 7);
+    assert.equal(cell(2, 1).textContent, "7");
+
+    cell(1, 0).dispatchEvent(new dom.window.MouseEvent("dblclick", { bubbles: true }));
+    editor = cell(1, 0).querySelector("input");
+    editor.value = "Blocked";
+    key(editor, "Enter");
+    await nextFrame();
+    assert.equal(data[0].name, "Pedri", "beforeEdit can veto the change");
+
+    assert.equal(table.editCell(1, "position"), true);
+    const select = cell(1, 2).querySelector("select");
+    select.selectedIndex = 2;
+    key(select, "Tab");
+    await nextFrame();
+    assert.equal(data[0].position, "FW");
+    assert.equal(document.activeElement, cell(1, 3), "Tab moves to the next cell");
+
+    assert.equal(table.editCell(2, "active"), false, "editable can depend on the row");
+    assert.equal(table.editCell(1, "active"), true);
+    cell(1, 3).querySelector("input[type=checkbox]").checked = false;
+    assert.equal(table.commitEdit(), true);
+    await nextFrame();
+    assert.equal(data[0].active, false);
+
+    assert.deepEqual(edits, [
+      ["2", "goals", 2, 7],
+      ["1", "position", "MF", "FW"],
+      ["1", "active", true, false]
+    ]);
+  } finally {
+    cleanup();
+  }
+});
+
+test("closing a typed editor without changes keeps the formatted source value", async () => {
+  const data = [{ id: 1, amount: "€1.200,50", joined: "03/01/2024", active: "yes" }];
+  const { document, table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [
+      { id: "amount", header: "Amount", accessor: "amount", type: "currency", locale: "de-DE", editable: true },
+      { id: "joined", header: "Joined", accessor: "joined", type: "date", editable: true },
+      { id: "active", header: "Active", accessor: "active", type: "boolean", editable: true }
+    ],
+    data
+  });
+
+  try {
+    const edits = [];
+    table.on("afterEdit", (change) => edits.push(change));
+    for (const columnId of ["amount", "joined", "active"]) {
+      table.editCell(1, columnId);
+      assert.equal(table.commitEdit(), true);
+    }
+    await nextFrame();
+
+    assert.deepEqual(data[0], { id: 1, amount: "€1.200,50", joined: "03/01/2024", active: "yes" });
+    assert.deepEqual(edits, []);
+    assert.deepEqual(table.getChanges().updated, []);
+    assert.equal(table.canUndo(), false);
+    assert.equal(document.querySelector("#table td.bdt__cell--dirty"), null);
+  } finally {
+    cleanup();
+  }
+});
+
+test("date editors show the calendar day of the value in UTC+ time zones", async () => {
+  const previousTz = process.env.TZ;
+  process.env.TZ = "Europe/Rome";
+  const data = [{ id: 1, joined: "03/01/2024", renewed: "Mar 2, 2024" }];
+  const { table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [
+      { id: "joined", header: "Joined", accessor: "joined", type: "date", editable: true },
+      { id: "renewed", header: "Renewed", accessor: "renewed", editor: "date", editable: true }
+    ],
+    data
+  });
+
+  try {
+    const editorValue = (columnId) => {
+      table.editCell(1, columnId);
+      const value = table.root.querySelector("tbody .bdt__editor").value;
+      table.cancelEdit();
+      return value;
+    };
+    assert.equal(editorValue("joined"), "2024-03-01");
+    assert.equal(editorValue("renewed"), "2024-03-02");
+  } finally {
+    cleanup();
+    if (previousTz === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = previousTz;
+    }
+  }
+});
+
+test("server mode saves edits and restores the value when saving fails", async () => {
+  const rows = [{ id: 1, name: "Pedri" }];
+  const saved = [];
+  const { table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [{ id: "name", header: "Name", accessor: "name", editable: true }],
+    server: {
+      enabled: true,
+      fetch: async () => ({ rows, totalCount: 1, filteredCount: 1 }),
+      save: async (change) => {
+        saved.push(change.value);
+        if (change.value === "Rejected") {
+          throw new Error("conflict");
+        }
+      }
+    }
+  });
+
+  try {
+    const errors = [];
+    table.on("error", (payload) => errors.push(payload.type));
+    await table.reload();
+    await nextFrame();
+
+    const edit = (value) => {
+      table.editCell(1, "name");
+      table.root.querySelector("tbody .bdt__editor").value = value;
+      table.commitEdit();
+    };
+
+    edit("Pedri González");
+    await nextFrame();
+    assert.equal(rows[0].name, "Pedri González");
+
+    edit("Rejected");
+    assert.equal(rows[0].name, "Rejected");
+    await nextFrame();
+    await nextFrame();
+    assert.equal(rows[0].name, "Pedri González");
+    assert.equal(table.root.querySelector("tbody td").textContent, "Pedri González");
+    assert.deepEqual(saved, ["Pedri González", "Rejected"]);
+    assert.deepEqual(errors, ["save"]);
+  } finally {
+    cleanup();
+  }
+});
+
+test("transactions add, update and remove rows by key and keep the page and focus", async () => {
+  const { document, table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [
+      { id: "name", header: "Name", accessor: "name" },
+      { id: "goals", header: "Goals", accessor: "goals", type: "number" }
+    ],
+    data: [
+      { id: 1, name: "Pedri", goals: 4 },
+      { id: 2, name: "Gavi", goals: 2 },
+      { id: 3, name: "Yamal", goals: 9 },
+      { id: 4, name: "Olmo", goals: 6 }
+    ],
+    pagination: { enabled: true, pageSize: 2, pageSizes: [2] },
+    sorting: { initial: [{ id: "goals", direction: "desc" }] }
+  });
+
+  try {
+    const changes = [];
+    table.on("dataChange", (delta) => changes.push(delta));
+    const bodyKeys = () => [...document.querySelectorAll("#table tbody tr")].map((tr) => tr.getAttribute("data-row-key"));
+
+    table.setPage(1);
+    await nextFrame();
+    assert.deepEqual(bodyKeys(), ["1", "2"]);
+    document.querySelector('#table tbody tr[data-row-key="2"] td[data-col-index="1"]').focus();
+
+    const delta = table.applyTransaction({
+      add: [{ id: 5, name: "Fermín", goals: 5 }],
+      update: [{ id: 2, name: "Gavi", goals: 8 }, { id: 99, name: "Nobody", goals: 0 }],
+      remove: [3]
+    });
+    await nextFrame();
+
+    assert.deepEqual(delta.added.map((row) => row.id), [5]);
+    assert.deepEqual(delta.updated.map((row) => row.id), [2], "unknown keys are skipped");
+    assert.deepEqual(delta.removed.map((row) => row.id), [3]);
+    assert.deepEqual(changes, [delta]);
+    assert.equal(table.getState().page, 1, "the page is kept");
+    assert.deepEqual(bodyKeys(), ["5", "1"]);
+    assert.deepEqual(table.data.map((row) => row.id), [1, 2, 4, 5]);
+
+    table.setPage(0);
+    await nextFrame();
+    assert.deepEqual(bodyKeys(), ["2", "4"]);
+    document.querySelector('#table tbody tr[data-row-key="4"] td[data-col-index="1"]').focus();
+
+    table.updateRows([{ id: 2, name: "Gavi", goals: 5.5 }]);
+    await nextFrame();
+    assert.deepEqual(bodyKeys(), ["4", "2"]);
+    assert.equal(document.activeElement.closest("tr").getAttribute("data-row-key"), "4", "focus follows the row");
+
+    table.removeRows([{ id: 4 }]);
+    table.addRows([{ id: 6, name: "Lewandowski", goals: 10 }]);
+    await nextFrame();
+    assert.deepEqual(bodyKeys(), ["6", "2"]);
+    assert.equal(changes.length, 4);
+
+    const before = table.data.map((row) => row.name);
+    assert.throws(() => table.addRows([{ id: 2, name: "Gavi", goals: 1 }]), /key "2" already exists/);
+    assert.throws(
+      () => table.applyTransaction({ add: [{ id: 7, name: "Olmo" }, { id: 7, name: "Olmo" }], update: [{ id: 2 }] }),
+      /key "7" already exists/
+    );
+    assert.deepEqual(table.data.map((row) => row.name), before, "a rejected transaction changes nothing");
+    table.applyTransaction({ remove: [2], add: [{ id: 2, name: "Pablo Gavi", goals: 6 }] });
+    assert.equal(table.data.at(-1).name, "Pablo Gavi", "a removed key may be added back");
+    assert.equal(table.data.filter((row) => row.id === 2).length, 1);
+  } finally {
+    cleanup();
+  }
+});
+
+test("transactions and edits patch the query instead of rescanning every row", async () => {
+  const data = [
+    { id: 1, name: "Pedri", goals: 4 },
+    { id: 2, name: "Gavi", goals: 2 },
+    { id: 3, name: "Yamal", goals: 9 },
+    { id: 4, name: "Olmo", goals: 6 }
+  ];
+  const { document, table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [
+      { id: "name", header: "Name", accessor: "name", editable: true },
+      { id: "goals", header: "Goals", accessor: "goals", type: "number", editable: true }
+    ],
+    data,
+    sorting: { initial: [{ id: "goals", direction: "desc" }] }
+  });
+
+  try {
+    const caches = [];
+    table.on("afterRender", ({ timing }) => caches.push(timing.engine.cache));
+    const bodyKeys = () => [...document.querySelectorAll("#table tbody tr")].map((tr) => tr.getAttribute("data-row-key"));
+    const edit = (key, columnId, value) => {
+      table.editCell(key, columnId);
+      table.root.querySelector("tbody .bdt__editor").value = value;
+      table.commitEdit();
+    };
+
+    table.setSearch("a");
+    await nextFrame();
+    assert.deepEqual(bodyKeys(), ["3", "2"]);
+
+    table.applyTransaction({
+      add: [{ id: 5, name: "Fermín", goals: 5 }, { id: 6, name: "Raphinha", goals: 7 }],
+      update: [{ id: 1, name: "Pedri", goals: 8 }, { id: 2, name: "Balde", goals: 1 }],
+      remove: [3]
+    });
+    await nextFrame();
+    assert.deepEqual(bodyKeys(), ["6", "2"]);
+    assert.deepEqual(data.map((row) => row.name), ["Pedri", "Gavi", "Yamal", "Olmo"], "the caller's array is untouched");
+
+    edit(2, "goals", "7.5");
+    await nextFrame();
+    assert.deepEqual(bodyKeys(), ["2", "6"]);
+    edit(2, "name", "Pedro");
+    await nextFrame();
+    assert.deepEqual(bodyKeys(), ["6"], "an edited row that stops matching leaves the result");
+    table.undo();
+    await nextFrame();
+    assert.deepEqual(bodyKeys(), ["2", "6"]);
+
+    assert.deepEqual(caches.slice(1), ["hit", "hit", "hit", "hit"], "the patched result is reused");
+    assert.equal(table.dataIndex.get("5"), 3, "the key map follows the transaction");
+  } finally {
+    cleanup();
+  }
+});
+
+test("edits are tracked as changes with dirty cells, undo, redo and revert", async () => {
+  const data = [
+    { id: 1, name: "Pedri", goals: 4 },
+    { id: 2, name: "Gavi", goals: 2 },
+    { id: 3, name: "Olmo", goals: 6 }
+  ];
+  const { dom, document, table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [
+      { id: "name", header: "Name", accessor: "name", editable: true },
+      { id: "goals", header: "Goals", accessor: "goals", type: "number", editable: true }
+    ],
+    data
+  });
+
+  try {
+    const cell = (key, col) =>
+      document.querySelector(`#table tbody tr[data-row-key="${key}"] td[data-col-index="${col}"]`);
+    const edit = (key, columnId, value) => {
+      table.editCell(key, columnId);
+      table.root.querySelector("tbody .bdt__editor").value = value;
+      table.commitEdit();
+    };
+    const dirtyCells = () =>
+      [...document.querySelectorAll("#table td.bdt__cell--dirty")].map(
+        (td) => `${td.closest("tr").getAttribute("data-row-key")}:${td.dataset.colIndex}`
+      );
+
+    edit(1, "goals", "5");
+    edit(1, "goals", "7");
+    edit(2, "name", "Pablo Gavi");
+    await nextFrame();
+    assert.deepEqual(dirtyCells(), ["1:1", "2:0"]);
+    assert.deepEqual(table.getChanges().updated, [
+      { key: "1", row: data[0], changes: { goals: { oldValue: 4, value: 7 } } },
+      { key: "2", row: data[1], changes: { name: { oldValue: "Gavi", value: "Pablo Gavi" } } }
+    ]);
+
+    cell(1, 0).focus();
+    const press = (key, init = {}) =>
+      document.activeElement.dispatchEvent(
+        new dom.window.KeyboardEvent("keydown", { key, bubbles: true, ctrlKey: true, ...init })
+      );
+    press("z");
+    press("z");
+    await nextFrame();
+    assert.equal(data[1].name, "Gavi");
+    assert.equal(data[0].goals, 5);
+    assert.deepEqual(dirtyCells(), ["1:1"]);
+
+    press("y");
+    await nextFrame();
+    assert.equal(data[0].goals, 7);
+    assert.equal(table.canRedo(), true);
+
+    press("ArrowDown");
+    await nextFrame();
+    assert.equal(document.activeElement, cell(2, 0), "other Ctrl combinations still navigate");
+
+    edit(1, "goals", "4");
+    await nextFrame();
+    assert.equal(table.canRedo(), false, "a new edit clears the redo stack");
+    assert.deepEqual(dirtyCells(), [], "a value edited back to the original is clean");
+
+    table.applyTransaction({ add: [{ id: 4, name: "Fermín", goals: 1 }], remove: [3] });
+    edit(2, "goals", "3");
+    await nextFrame();
+    const changes = table.getChanges();
+    assert.deepEqual(changes.added.map(({ key }) => key), ["4"]);
+    assert.deepEqual(changes.removed.map(({ key }) => key), ["3"]);
+    assert.deepEqual(changes.updated.map(({ key }) => key), ["2"]);
+    assert.ok(cell(4, 0).closest("tr").classList.contains("bdt__row--added"));
+
+    table.revertChanges();
+    await nextFrame();
+    assert.deepEqual(
+      table.data.map((row) => [row.id, row.name, row.goals]),
+      [
+        [1, "Pedri", 4],
+        [2, "Gavi", 2],
+        [3, "Olmo", 6]
+      ]
+    );
+    assert.deepEqual(dirtyCells(), []);
+    assert.deepEqual(table.getChanges(), { added: [], updated: [], removed: [] });
+    assert.equal(table.canUndo(), false);
+
+    edit(3, "name", "Dani Olmo");
+    table.acceptChanges();
+    await nextFrame();
+    assert.deepEqual(dirtyCells(), []);
+    assert.equal(table.undo(), true, "accepted edits can still be undone");
+    assert.equal(data[2].name, "Olmo");
+  } finally {
+    cleanup();
+  }
+});
+
+test("undo follows rows through sorting and edits without rowKey are not tracked", async () => {
+  const columns = [
+    { id: "name", header: "Name", accessor: "name" },
+    { id: "goals", header: "Goals", accessor: "goals", type: "number", editable: true }
+  ];
+  const edit = (table, key, value) => {
+    table.editCell(key, "goals");
+    table.root.querySelector("tbody .bdt__editor").value = value;
+    table.commitEdit();
+  };
+
+  const keyed = [
+    { id: 1, name: "b", goals: 1 },
+    { id: 2, name: "a", goals: 2 }
+  ];
+  const first = await mountTable({ rowKey: "id", columns, data: keyed });
+  try {
+    edit(first.table, 1, "99");
+    first.table.setSort("name", "asc");
+    await nextFrame();
+    const dirty = first.document.querySelector("#table td.bdt__cell--dirty");
+    assert.equal(dirty.closest("tr").getAttribute("data-row-key"), "1");
+    assert.deepEqual(first.table.getChanges().updated.map(({ key }) => key), ["1"]);
+
+    first.table.undo();
+    assert.deepEqual(keyed.map((row) => row.goals), [1, 2]);
+  } finally {
+    first.cleanup();
+  }
+
+  const unkeyed = [
+    { name: "b", goals: 1 },
+    { name: "a", goals: 2 }
+  ];
+  const second = await mountTable({ columns, data: unkeyed });
+  try {
+    edit(second.table, 0, "99");
+    second.table.setSort("name", "asc");
+    await nextFrame();
+    assert.deepEqual(unkeyed.map((row) => row.goals), [99, 2]);
+    assert.equal(second.document.querySelector("#table td.bdt__cell--dirty"), null);
+    assert.deepEqual(second.table.getChanges(), { added: [], updated: [], removed: [] });
+    assert.equal(second.table.canUndo(), false);
+    assert.equal(second.table.undo(), false);
+    assert.deepEqual(unkeyed.map((row) => row.goals), [99, 2]);
+  } finally {
+    second.cleanup();
+  }
+});
+
+test("row selection uses checkboxes, shift ranges and Space and survives paging", async () => {
+  const data = ["Pedri", "Gavi", "Yamal", "Olmo", "Fermín"].map((name, index) => ({ id: index + 1, name }));
+  const { dom, document, table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [{ id: "name", header: "Name", accessor: "name" }],
+    data,
+    pagination: { enabled: true, pageSize: 3, pageSizes: [3] },
+    selection: { mode: "multi" }
+  });
+
+  try {
+    const events = [];
+    table.on("selectionChange", ({ added, removed }) => events.push([added, removed]));
+    const box = (key) => document.querySelector(`#table input[data-bdt-select="${key}"]`);
+    const selectAll = () => document.querySelector("#table thead .bdt__row-select-all");
+    const selectedRows = () =>
+      [...document.querySelectorAll('#table tbody tr[aria-selected="true"]')].map((tr) => tr.getAttribute("data-row-key"));
+
+    assert.equal(document.querySelector("#table table").getAttribute("aria-multiselectable"), "true");
+    assert.equal(box("1").parentElement.getAttribute("data-col-index"), "0");
+    assert.equal(document.querySelector('#table tbody tr[data-row-key="1"]').getAttribute("aria-selected"), "false");
+
+    box("1").click();
+    box("3").dispatchEvent(new dom.window.MouseEvent("click", { bubbles: true, shiftKey: true }));
+    await nextFrame();
+    assert.deepEqual(selectedRows(), ["1", "2", "3"]);
+    assert.equal(selectAll().checked, true);
+    assert.deepEqual(events, [
+      [["1"], []],
+      [["2", "3"], []]
+    ]);
+
+    table.setPage(1);
+    await nextFrame();
+    assert.equal(selectAll().checked, false);
+    const cell = document.querySelector('#table tbody tr[data-row-key="4"] td');
+    cell.focus();
+    cell.dispatchEvent(new dom.window.KeyboardEvent("keydown", { key: " ", bubbles: true }));
+    await nextFrame();
+    assert.deepEqual(selectedRows(), ["4"]);
+    assert.equal(selectAll().indeterminate, true);
+
+    selectAll().click();
+    await nextFrame();
+    assert.deepEqual(selectedRows(), ["4", "5"]);
+
+    table.setSort("name", "desc");
+    table.setPage(0);
+    await nextFrame();
+    assert.deepEqual(table.getSelectedRows().map((row) => row.name), ["Pedri", "Gavi", "Yamal", "Olmo", "Fermín"]);
+
+    selectAll().click();
+    await nextFrame();
+    assert.deepEqual(table.getSelectedKeys(), ["2", "5"], "select all clears a fully selected page");
+
+    table.removeRows([5]);
+    assert.deepEqual(table.getSelectedKeys(), ["2"], "removed rows leave the selection");
+    table.clearSelection();
+    table.selectRows([3, 1]);
+    assert.deepEqual(table.getSelectedRows(), [data[2], data[0]]);
+    assert.deepEqual(events.at(-1), [["3", "1"], []]);
+
+    assert.throws(
+      () =>
+        new BetterDataTable(document.createElement("div"), {
+          columns: [{ id: "name", header: "Name", accessor: "name" }],
+          selection: { mode: "multi" }
+        }),
+      /rowKey/,
+      "selection without rowKey would follow page positions"
+    );
+  } finally {
+    cleanup();
+  }
+});
+
+test("single selection by row click keeps one selected row across server reloads", async () => {
+  const pages = [
+    [{ id: 1, name: "Pedri" }, { id: 2, name: "Gavi" }],
+    [{ id: 1, name: "Pedri" }, { id: 2, name: "Gavi" }]
+  ];
+  let calls = 0;
+  const { document, table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [{ id: "name", header: "Name", accessor: "name" }],
+    selection: { mode: "single", checkbox: false },
+    server: {
+      enabled: true,
+      fetch: async () => {
+        const rows = pages[Math.min(calls, pages.length - 1)];
+        calls += 1;
+        return { rows, totalCount: 2, filteredCount: 2 };
+      }
+    }
+  });
+
+  try {
+    await table.reload();
+    await nextFrame();
+    const cell = (key) => document.querySelector(`#table tbody tr[data-row-key="${key}"] td`);
+    assert.equal(document.querySelector("#table .bdt__row-select"), null);
+    assert.equal(document.querySelector("#table .bdt__row-select-all"), null);
+
+    cell(1).click();
+    cell(2).click();
+    await nextFrame();
+    assert.deepEqual(table.getSelectedKeys(), ["2"]);
+
+    await table.reload();
+    await nextFrame();
+    assert.equal(cell(2).parentElement.getAttribute("aria-selected"), "true");
+    assert.equal(table.getSelectedRows()[0], pages[1][1], "the selected row follows the reloaded object");
+  } finally {
+    cleanup();
+  }
+});
+
+test("cell ranges select by drag and Shift+Arrow and copy and paste through the clipboard", async () => {
+  const data = [
+    { id: 1, name: "Pedri", goals: 4, club: "Barcelona" },
+    { id: 2, name: "Gavi", goals: 2, club: "Barcelona" },
+    { id: 3, name: "Kane", goals: 36, club: "Bayern" }
+  ];
+  const { dom, document, table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [
+      { id: "name", header: "Name", accessor: "name" },
+      {
+        id: "goals",
+        header: "Goals",
+        accessor: "goals",
+        type: "number",
+        editable: true,
+        validate: (value) => value === null || value < 100 || "Too many goals"
+      },
+      { id: "club", header: "Club", accessor: "club", editable: true }
+    ],
+    data,
+    rangeSelection: { enabled: true }
+  });
+
+  try {
+    const cell = (key, col) =>
+      document.querySelector(`#table tbody tr[data-row-key="${key}"] td[data-col-index="${col}"]`);
+    const inRange = () =>
+      [...document.querySelectorAll("#table td.bdt__cell--in-range")].map(
+        (td) => `${td.closest("tr").getAttribute("data-row-key")}:${td.dataset.colIndex}`
+      );
+    const clipboardEvent = (type, text = "") => {
+      const stored = { "text/plain": text };
+      const event = new dom.window.Event(type, { bubbles: true, cancelable: true });
+      event.clipboardData = {
+        getData: (format) => stored[format] ?? "",
+        setData: (format, value) => {
+          stored[format] = value;
+        }
+      };
+      document.activeElement.dispatchEvent(event);
+      return stored;
+    };
+
+    cell(1, 0).dispatchEvent(new dom.window.MouseEvent("pointerdown", { bubbles: true, button: 0 }));
+    cell(2, 1).dispatchEvent(new dom.window.MouseEvent("pointermove", { bubbles: true }));
+    document.dispatchEvent(new dom.window.MouseEvent("pointerup", { bubbles: true }));
+    assert.deepEqual(inRange(), ["1:0", "1:1", "2:0", "2:1"]);
+    assert.equal(cell(1, 1).getAttribute("aria-selected"), "true");
+    assert.deepEqual(table.getCellRange(), {
+      anchor: { key: "1", columnId: "name" },
+      focus: { key: "2", columnId: "goals" }
+    });
+
+    table.setSort("goals", "desc");
+    await nextFrame();
+    assert.deepEqual(inRange(), ["1:0", "1:1", "2:0", "2:1"], "the range follows its rows after sorting");
+    table.setSort("goals", "asc");
+    await nextFrame();
+
+    cell(1, 0).focus();
+    const copied = clipboardEvent("copy");
+    assert.equal(copied["text/plain"], "Gavi\t2\nPedri\t4");
+    assert.equal(copied["text/html"], "<table><tr><td>Gavi</td><td>2</td></tr><tr><td>Pedri</td><td>4</td></tr></table>");
+
+    cell(2, 1).focus();
+    const shift = (key) =>
+      document.activeElement.dispatchEvent(new dom.window.KeyboardEvent("keydown", { key, bubbles: true, shiftKey: true }));
+    shift("ArrowDown");
+    shift("ArrowRight");
+    await nextFrame();
+    assert.deepEqual(inRange(), ["2:1", "2:2", "1:1", "1:2"]);
+    assert.equal(document.activeElement, cell(2, 1), "the focused cell stays put");
+
+    const pastes = [];
+    table.on("paste", (payload) => pastes.push(payload));
+    clipboardEvent("paste", "7\tReal Madrid\n150\tInter\n");
+    await nextFrame();
+    assert.deepEqual(
+      data.map((row) => [row.goals, row.club]),
+      [
+        [4, "Inter"],
+        [7, "Real Madrid"],
+        [36, "Bayern"]
+      ]
+    );
+    assert.deepEqual(pastes[0].rejected.map(({ key, columnId, message }) => [key, columnId, message]), [
+      ["1", "goals", "Too many goals"]
+    ]);
+    assert.equal(pastes[0].changes.length, 3);
+
+    table.undo();
+    await nextFrame();
+    assert.deepEqual(
+      data.map((row) => [row.goals, row.club]),
+      [
+        [4, "Barcelona"],
+        [2, "Barcelona"],
+        [36, "Bayern"]
+      ],
+      "a paste undoes in one step"
+    );
+
+    table.setCellRange({ key: 1, columnId: "club" }, { key: 3, columnId: "club" });
+    await nextFrame();
+    cell(1, 2).focus();
+    clipboardEvent("paste", "Free agent");
+    await nextFrame();
+    assert.deepEqual(
+      data.map((row) => row.club),
+      ["Free agent", "Barcelona", "Free agent"],
+      "one value fills the range, which spans Pedri and Kane in goal order"
+    );
+
+    cell(3, 0).dispatchEvent(new dom.window.KeyboardEvent("keydown", { key: "ArrowUp", bubbles: true }));
+    await nextFrame();
+    assert.equal(table.getCellRange(), null, "plain arrows clear the range");
+    assert.deepEqual(inRange(), []);
+  } finally {
+    cleanup();
+  }
+});
+
+test("pasted dates keep their calendar day in UTC+ time zones", async () => {
+  const previousTz = process.env.TZ;
+  process.env.TZ = "Europe/Rome";
+  const data = [1, 2, 3].map((id) => ({ id, joined: "2023-01-01", renewed: "2023-01-01" }));
+  const { dom, document, table, cleanup } = await mountTable({
+    rowKey: "id",
+    columns: [
+      { id: "joined", header: "Joined", accessor: "joined", type: "date", editable: true },
+      { id: "renewed", header: "Renewed", accessor: "renewed", editor: "date", editable: true }
+    ],
+    data,
+    rangeSelection: { enabled: true }
+  });
+
+  try {
+    const cell = document.querySelector('#table tbody tr[data-row-key="1"] td');
+    cell.focus();
+    const event = new dom.window.Event("paste", { bubbles: true, cancelable: true });
+    event.clipboardData = { getData: () => "03/01/2024\t03/01/2024\nMar 1, 2024\tMar 1, 2024\n2024-03-01\t2024-03-01" };
+    cell.dispatchEvent(event);
+    assert.deepEqual(
+      data.map((row) => [row.joined, row.renewed]),
+      [1, 2, 3].map(() => ["2024-03-01", "2024-03-01"])
+    );
+
+    data[0].renewed = "03/02/2024";
+    table.editCell(1, "renewed");
+    assert.equal(table.root.querySelector("tbody .bdt__editor").value, "2024-03-02");
+    table.cancelEdit();
+    table.editCell(1, "joined");
+    assert.equal(table.root.querySelector("tbody .bdt__editor").value, "2024-03-01");
+    table.cancelEdit();
+  } finally {
+    cleanup();
+    if (previousTz === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = previousTz;
+    }
+  }
+});
+
+test("pasted cells finish after the query re-runs and failed saves leave the undo history", async () => {
+  const paste = (dom, document, text) => {
+    const event = new dom.window.Event("paste", { bubbles: true, cancelable: true });
+    event.clipboardData = { getData: () => text };
+    document.activeElement.dispatchEvent(event);
+  };
+
+  const data = [
+    { id: 1, club: "Barcelona" },
+    { id: 2, club: "Barcelona" }
+  ];
+  const client = await mountTable({
+    rowKey: "id",
+    columns: [{ id: "club", header: "Club", accessor: "club", editable: true }],
+    data,
+    rangeSelection: { enabled: true }
+  });
+  try {
+    const facets = [];
+    client.table.on("afterEdit", () => facets.push(client.table.getFacets("club")));
+    client.document.querySelector('#table tbody tr[data-row-key="1"] td').focus();
+    paste(client.dom, client.document, "Girona\nGirona");
+    assert.deepEqual(facets, [1, 2].map(() => [{ value: "Girona", count: 2 }]));
+
+    const pastes = [];
+    client.table.on("paste", (payload) => pastes.push(payload));
+    client.table.setCellRange({ key: 1, columnId: "club" }, { key: 2, columnId: "club" });
+    paste(client.dom, client.document, "");
+    assert.deepEqual(data.map((row) => row.club), ["Girona", "Girona"], "an empty paste changes nothing");
+    assert.deepEqual(pastes, []);
+    assert.equal(facets.length, 2);
+  } finally {
+    client.cleanup();
+  }
+
+  const rows = [
+    { id: 1, name: "Pedri" },
+    { id: 2, name: "Gavi" }
+  ];
+  const saved = [];
+  const server = await mountTable({
+    rowKey: "id",
+    columns: [{ id: "name", header: "Name", accessor: "name", editable: true }],
+    rangeSelection: { enabled: true },
+    server: {
+      enabled: true,
+      fetch: async () => ({ rows, totalCount: 2, filteredCount: 2 }),
+      save: async (change) => {
+        saved.push(`${change.source}:${change.value}`);
+        if (change.value === "Rejected") {
+          throw new Error("conflict");
+        }
+      }
+    }
+  });
+  try {
+    await server.table.reload();
+    await nextFrame();
+    server.document.querySelector('#table tbody tr[data-row-key="1"] td').focus();
+    paste(server.dom, server.document, "Pedri González\nRejected");
+    await nextFrame();
+    await nextFrame();
+    assert.deepEqual(rows.map((row) => row.name), ["Pedri González", "Gavi"]);
+
+    assert.equal(server.table.undo(), true);
+    assert.deepEqual(rows.map((row) => row.name), ["Pedri", "Gavi"]);
+    assert.equal(server.table.redo(), true);
+    assert.deepEqual(rows.map((row) => row.name), ["Pedri González", "Gavi"], "the rejected cell is not replayed");
+    await nextFrame();
+    assert.deepEqual(saved, ["paste:Pedri González", "paste:Rejected", "undo:Pedri", "redo:Pedri González"]);
+  } finally {
+    server.cleanup();
+  }
+});
+
+test("footer row shows aggregates for the filtered set or the current page", async () => {
+  const rows = [
+    { name: "Pedri", club: "Barcelona", goals: 4 },
+    { name: "Gavi", club: "Barcelona", goals: 2 },
+    { name: "Vinicius", club: "Real Madrid", goals: 15 }
+  ];
+  const columns = [
+    { id: "name", header: "Name", accessor: "name", footer: "Total" },
+    { id: "club", header: "Club", accessor: "club", footer: { aggregate: "count", label: "Players" } },
+    { id: "goals", header: "Goals", accessor: "goals", type: "number", footer: (values) => Math.max(...values) }
+  ];
+  const footerText = (document) =>
+    [...document.querySelectorAll("#table tfoot td")].map((td) =>
+      [...td.children].map((span) => span.textContent).join(" ")
+    );
+
+  const filtered = await mountTable({ columns, data: rows, pagination: { pageSize: 2 } });
+  try {
+    assert.deepEqual(footerText(filtered.document), ["Total", "Players 3", "15"]);
+    filtered.table.setSearch("barcelona");
+    await nextFrame();
+    assert.deepEqual(footerText(filtered.document), ["Total", "Players 2", "4"]);
+  } finally {
+    filtered.cleanup();
+  }
+
+  const paged = await mountTable({ columns, data: rows, pagination: { pageSize: 2 }, footer: { scope: "page" } });
+  try {
+    assert.deepEqual(footerText(paged.document), ["Total", "Players 2", "4"]);
+    paged.table.setPage(1);
+    await nextFrame();
+    assert.deepEqual(footerText(paged.document), ["Total", "Players 1", "15"]);
+  } finally {
+    paged.cleanup();
+  }
+
+  const server = await mountTable({
+    columns,
+    server: {
+      enabled: true,
+      fetch: async (query) => {
+        assert.deepEqual(query.aggregates, { club: "count" });
+        return { rows: rows.slice(0, 2), filteredCount: 3, aggregates: { club: 3 } };
+      }
+    }
+  });
+  try {
+    await nextFrame();
+    assert.deepEqual(footerText(server.document), ["Total", "Players 3", ""]);
+  } finally {
+    server.cleanup();
+  }
+});
+
+test("conditional formatting adds classes and styles to cells and rows", async () => {
+  const { document, table, cleanup } = await mountTable({
+    rowKey: "name",
+    columns: [
+      { id: "name", header: "Name", accessor: "name", className: "name-cell", cellClass: (value) => `player-${value}` },
+      { id: "goals", header: "Goals", accessor: "goals", type: "number" },
+      { id: "rating", header: "Rating", accessor: "rating" }
+    ],
+    data: [
+      { name: "a", goals: "20", rating: 9, loan: true },
+      { name: "b", goals: "10", rating: 5 },
+      { name: "c", goals: "0", rating: 7 }
+    ],
+    rowClass: (row) => (row.loan ? ["on-loan"] : ""),
+    rowStyle: (row) => (row.loan ? { fontStyle: "italic" } : null),
+    conditionalFormatting: [
+      { column: "goals", operator: "gte", value: 15, className: "top-scorer", style: { fontWeight: 700 } },
+      { column: "rating", operator: "lt", value: 6, target: "row", className: "poor-form" },
+      { column: "goals", type: "dataBar", color: "#2f6feb" },
+      { column: "rating", type: "colorScale", colors: ["#ff0000", "#00ff00"], min: 5, max: 9 },
+      { column: "missing", className: "ignored" }
+    ]
+  });
+
+  try {
+    const row = (key) => document.querySelector(`#table tr[data-row-key="${key}"]`);
+    const cell = (key, colIndex) => row(key).querySelector(`td[data-col-index="${colIndex}"]`);
+
+    assert.equal(cell("a", 0).className, "name-cell player-a");
+    assert.ok(cell("a", 1).classList.contains("top-scorer"));
+    assert.equal(cell("a", 1).style.fontWeight, "700");
+    assert.ok(!cell("b", 1).classList.contains("top-scorer"));
+    assert.ok(row("a").classList.contains("on-loan"));
+    assert.equal(row("a").style.fontStyle, "italic");
+    assert.ok(row("b").classList.contains("poor-form"));
+
+    assert.ok(cell("b", 1).classList.contains("bdt__cell--bar"));
+    assert.equal(cell("a", 1).style.getPropertyValue("--bdt-bar-size"), "100%");
+    assert.equal(cell("b", 1).style.getPropertyValue("--bdt-bar-size"), "50%");
+    assert.equal(cell("c", 1).style.getPropertyValue("--bdt-bar-size"), "0%");
+    assert.equal(cell("a", 2).style.backgroundColor, "rgb(0, 255, 0)");
+    assert.equal(cell("c", 2).style.backgroundColor, "rgb(128, 128, 0)");
+
+    // Formats follow the data: when the values change, stale classes and styles are removed.
+    table.setData([
+      { name: "a", goals: "5", rating: 9 },
+      { name: "b", goals: "10", rating: 8 }
+    ]);
+    await nextFrame();
+    assert.ok(!cell("a", 1).classList.contains("top-scorer"));
+    assert.equal(cell("a", 1).style.fontWeight, "");
+    assert.ok(!row("a").classList.contains("on-loan"));
+    assert.equal(row("a").style.fontStyle, "");
+    assert.ok(!row("b").classList.contains("poor-form"));
+    assert.equal(cell("a", 1).style.getPropertyValue("--bdt-bar-size"), "0%");
+    assert.equal(cell("a", 0).className, "name-cell player-a");
+  } finally {
+    cleanup();
+  }
+});